@@ -0,0 +1,208 @@
+// @flow
+import {
+  GraphQLObjectType,
+  Kind,
+  TypeInfo,
+  ValidationContext,
+  defaultFieldResolver
+} from 'graphql'
+import CostAnalysis from './costAnalysis'
+
+import type { GraphQLSchema, GraphQLResolveInfo } from 'graphql'
+import type {
+  CostAnalysisResult,
+  CostFunction,
+  CostSource
+} from './costAnalysis'
+
+export type CostMeasurement = {
+  estimatedCost: ?number,
+  actualCost: number
+}
+
+export type ActualCostTracker = {
+  onComplete: (cost: number, result: CostAnalysisResult) => void,
+  addCost: (cost: number, path?: string) => void,
+  complete: () => CostMeasurement
+}
+
+export type ActualCostOptions = {
+  defaultCost?: number,
+  costMap?: Object,
+  complexityRange?: { min: number, max: number },
+  costPrecedence?: Array<CostSource>,
+  costFunctions?: { [name: string]: CostFunction },
+  getTracker?: (context: any) => ?ActualCostTracker
+}
+
+type FieldCost = {
+  complexity: number,
+  useMultipliers: boolean
+}
+
+// the original resolvers of the measured fields, so that measuring the
+// cost of a schema again replaces the previous measure
+const originalResolvers: WeakMap<Function, Function> = new WeakMap()
+
+// the path of a field without the indexes of the lists, a field costing the
+// same whatever the size of its parent lists is charged once per path
+function getFieldPath (path: $PropertyType<GraphQLResolveInfo, 'path'>): string {
+  const keys = []
+  for (let current = path; current; current = current.prev) {
+    if (typeof current.key === 'string') {
+      keys.unshift(current.key)
+    }
+  }
+  return keys.join('.')
+}
+
+/**
+ * Creates the tracker measuring the actual cost of a request, the estimated
+ * cost is recorded by passing its onComplete method to the cost analysis.
+ */
+export function createActualCostTracker ({
+  onMeasure
+}: { onMeasure?: (measurement: CostMeasurement) => void } = {}): ActualCostTracker {
+  let estimatedCost: ?number
+  let actualCost = 0
+  const chargedPaths = new Set()
+
+  return {
+    onComplete (cost: number) {
+      estimatedCost = cost
+    },
+    addCost (cost: number, path?: string) {
+      if (path !== undefined) {
+        if (chargedPaths.has(path)) {
+          return
+        }
+        chargedPaths.add(path)
+      }
+      actualCost += cost
+    },
+    complete (): CostMeasurement {
+      const measurement = { estimatedCost, actualCost }
+      if (onMeasure) {
+        onMeasure(measurement)
+      }
+      return measurement
+    }
+  }
+}
+
+/**
+ * Wraps the resolvers of a schema to measure the actual cost of the
+ * requests with the tracker found in their context. The cost settings are
+ * the ones used by the cost analysis, resolved with the arguments of each
+ * field, but the multipliers are replaced by the actual lengths of the
+ * lists returned by the resolvers.
+ */
+export function measureActualCost (
+  schema: GraphQLSchema,
+  {
+    getTracker = context => context && context.costTracker,
+    costFunctions = {},
+    ...options
+  }: ActualCostOptions = {}
+): GraphQLSchema {
+  const analysis = new CostAnalysis(
+    new ValidationContext(
+      schema,
+      { kind: Kind.DOCUMENT, definitions: [] },
+      new TypeInfo(schema)
+    ),
+    { ...options, maximumCost: Infinity }
+  )
+
+  const toFieldCost = (costArgs): FieldCost => ({
+    complexity:
+      (typeof costArgs.complexity === 'number'
+        ? costArgs.complexity
+        : analysis.defaultComplexity) *
+      (typeof costArgs.weight === 'number' ? costArgs.weight : 1),
+    useMultipliers: costArgs.useMultipliers !== false
+  })
+
+  // the complexity of a cost function is computed with the context and
+  // the info of the resolver, an unknown cost function costs the default
+  // cost like during the analysis
+  const getFieldCost = (
+    settings,
+    args,
+    context,
+    info
+  ): ?FieldCost | Promise<?FieldCost> => {
+    const costArgs = analysis.getFieldCostArgs(settings, args)
+    if (!costArgs || !costArgs.costFn) {
+      return costArgs && toFieldCost(costArgs)
+    }
+
+    const costFunction = costFunctions[costArgs.costFn]
+    if (typeof costFunction !== 'function') {
+      return
+    }
+    const getCost = (complexity: mixed): FieldCost =>
+      toFieldCost(
+        typeof complexity === 'number' ? { ...costArgs, complexity } : costArgs
+      )
+    const complexity = costFunction(args, context, info)
+    return complexity && typeof complexity.then === 'function'
+      ? Promise.resolve(complexity).then(getCost)
+      : getCost(complexity)
+  }
+
+  const typeMap = schema.getTypeMap()
+  Object.keys(typeMap).forEach(typeName => {
+    const type = typeMap[typeName]
+    if (!(type instanceof GraphQLObjectType) || typeName.startsWith('__')) {
+      return
+    }
+
+    const fields = type.getFields()
+    Object.keys(fields).forEach(fieldName => {
+      const field = fields[fieldName]
+      const settings = analysis.getFieldCostSettings(fieldName, field, type)
+      const resolve =
+        (field.resolve && originalResolvers.get(field.resolve)) ||
+        field.resolve ||
+        defaultFieldResolver
+
+      const record = (tracker, value, info, fieldCost: ?FieldCost) => {
+        // fields without cost settings or multipliers are not multiplied
+        // by the size of their parent lists
+        if (!fieldCost || !fieldCost.useMultipliers) {
+          tracker.addCost(
+            fieldCost ? fieldCost.complexity : analysis.defaultCost,
+            getFieldPath(info.path)
+          )
+          return
+        }
+        const size = Array.isArray(value) ? value.length : 1
+        tracker.addCost(fieldCost.complexity * size)
+      }
+
+      field.resolve = (source, args, context, info) => {
+        const value = resolve(source, args, context, info)
+        const tracker = getTracker(context)
+        if (!tracker) {
+          return value
+        }
+        const fieldCost = getFieldCost(settings, args, context, info)
+        if (
+          (value && typeof value.then === 'function') ||
+          fieldCost instanceof Promise
+        ) {
+          return Promise.all([value, fieldCost]).then(([resolved, cost]) => {
+            record(tracker, resolved, info, cost)
+            return resolved
+          })
+        }
+        record(tracker, value, info, fieldCost)
+        return value
+      }
+      originalResolvers.set(field.resolve, resolve)
+    })
+  })
+
+  return schema
+}
@@ -0,0 +1,187 @@
+import { graphql, parse, validate, specifiedRules } from 'graphql'
+import { makeExecutableSchema } from 'graphql-tools'
+import createCostAnalysis from './index'
+import { createActualCostTracker, measureActualCost } from './actualCost'
+
+const typeDefs = `
+  type Comment {
+    text: String @cost(complexity: 1)
+  }
+
+  type Post {
+    title: String @cost(complexity: 1)
+    author: String
+    comments(limit: Int): [Comment] @cost(complexity: 2, multipliers: ["limit"])
+  }
+
+  type Query {
+    posts(limit: Int): [Post] @cost(complexity: 2, multipliers: ["limit"])
+    count: Int @cost(complexity: 3, useMultipliers: false)
+    members(organization: String): [String] @cost(costFn: "members", useMultipliers: false)
+    search(orderBy: String): [Post] @cost(
+      complexity: 1
+      conditions: [{ when: { orderBy: "RELEVANCE" }, complexity: 10 }]
+    )
+  }
+`
+
+const posts = [
+  { title: 'a', author: 'alice', comments: [{ text: 'x' }, { text: 'y' }] },
+  { title: 'b', author: 'bob', comments: [] },
+  { title: 'c', author: 'alice', comments: [{ text: 'z' }] }
+]
+
+const createSchema = options =>
+  measureActualCost(
+    makeExecutableSchema({
+      typeDefs,
+      resolvers: {
+        Query: {
+          posts: (root, { limit }) => Promise.resolve(posts.slice(0, limit)),
+          count: () => posts.length,
+          members: () => ['alice', 'bob'],
+          search: () => posts
+        }
+      }
+    }),
+    options
+  )
+
+const query = `
+  query posts($limit: Int) {
+    posts(limit: $limit) {
+      title
+      author
+      comments(limit: 5) {
+        text
+      }
+    }
+    count
+  }
+`
+
+describe('Actual cost Tests', () => {
+  test('should measure the actual cost from the returned list lengths', async () => {
+    const schema = createSchema()
+    const onMeasure = jest.fn()
+    const costTracker = createActualCostTracker({ onMeasure })
+    const variables = { limit: 10 }
+
+    const errors = validate(schema, parse(query), [
+      ...specifiedRules,
+      createCostAnalysis({
+        maximumCost: 1000,
+        variables,
+        onComplete: costTracker.onComplete
+      })
+    ])
+    const result = await graphql(
+      schema,
+      query,
+      null,
+      { costTracker },
+      variables
+    )
+    costTracker.complete()
+
+    expect(errors).toEqual([])
+    expect(result.errors).toEqual(undefined)
+    expect(onMeasure).toHaveBeenCalledWith({
+      // posts: 2 * 10, titles: 10, comments: 2 * 5 * 10, texts: 5 * 10
+      estimatedCost: 20 + 10 + 100 + 50 + 3,
+      // posts: 2 * 3, titles: 3, comments: 2 * 3 items, texts: 3
+      actualCost: 6 + 3 + 6 + 3 + 3
+    })
+  })
+
+  test('should charge the fields without multipliers once per path', async () => {
+    const schema = createSchema({ defaultCost: 4 })
+    const costTracker = createActualCostTracker()
+
+    await graphql(schema, query, null, { costTracker }, { limit: 10 })
+
+    // the author field has no cost settings, it costs the default cost
+    expect(costTracker.complete()).toEqual({
+      estimatedCost: undefined,
+      actualCost: 6 + 3 + 4 + 6 + 3 + 3
+    })
+  })
+
+  test('should use the cost map and a custom tracker getter', async () => {
+    const schema = createSchema({
+      costMap: {
+        Query: { posts: { complexity: 5, multipliers: ['limit'] } }
+      },
+      getTracker: context => context.tracker
+    })
+    const tracker = createActualCostTracker()
+
+    await graphql(schema, '{ posts(limit: 2) { title } }', null, { tracker })
+
+    expect(tracker.complete().actualCost).toEqual(5 * 2)
+  })
+
+  test('should call the cost functions with the arguments of each field', async () => {
+    const members = jest.fn(({ organization }) =>
+      organization === 'big' ? 100 : Promise.resolve(1)
+    )
+    const schema = createSchema({ costFunctions: { members } })
+    const costTracker = createActualCostTracker()
+
+    const result = await graphql(
+      schema,
+      `{
+        big: members(organization: "big")
+        small: members(organization: "small")
+      }`,
+      null,
+      { costTracker }
+    )
+
+    expect(result.data).toEqual({
+      big: ['alice', 'bob'],
+      small: ['alice', 'bob']
+    })
+    expect(costTracker.complete().actualCost).toEqual(100 + 1)
+    const [args, context, info] = members.mock.calls[0]
+    expect(args).toEqual({ organization: 'big' })
+    expect(context).toEqual({ costTracker })
+    expect(info.fieldName).toEqual('members')
+  })
+
+  test('should apply the conditional complexities of the fields', async () => {
+    const schema = createSchema()
+    const costTracker = createActualCostTracker()
+
+    await graphql(
+      schema,
+      `{
+        byRelevance: search(orderBy: "RELEVANCE") { title }
+        byDate: search(orderBy: "DATE") { title }
+      }`,
+      null,
+      { costTracker }
+    )
+
+    // the complexity is charged for each of the 3 returned posts
+    expect(costTracker.complete().actualCost).toEqual(
+      10 * 3 + 3 + 1 * 3 + 3
+    )
+  })
+
+  test('should replace the measure of a schema measured again', async () => {
+    const schema = measureActualCost(createSchema(), { defaultCost: 4 })
+    const costTracker = createActualCostTracker()
+
+    await graphql(schema, query, null, { costTracker }, { limit: 10 })
+
+    expect(costTracker.complete().actualCost).toEqual(6 + 3 + 4 + 6 + 3 + 3)
+  })
+
+  test('should not measure the requests without tracker', async () => {
+    const schema = createSchema()
+
+    const result = await graphql(schema, '{ count }', null, {})
+    expect(result).toEqual({ data: { count: 3 } })
+  })
+})
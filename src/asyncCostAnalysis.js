@@ -0,0 +1,59 @@
+// @flow
+import CostAnalysis from './costAnalysis'
+import getQueryCost, { analyzeDocument } from './getQueryCost'
+
+import type {
+  ValidationContext,
+  GraphQLSchema,
+  DocumentNode
+} from 'graphql'
+import type { CostAnalysisOptions } from './costAnalysis'
+import type { GetQueryCostOptions, QueryCost } from './getQueryCost'
+
+/**
+ * Calls the cost functions used by a document and resolves the values of
+ * the ones returning a promise, keyed as expected by the resolvedCosts option.
+ */
+export function resolveCostFunctions (
+  options: GetQueryCostOptions
+): Promise<{ [key: string]: number }> {
+  const { visitor } = analyzeDocument(options, visitor => {
+    visitor.pendingCosts = {}
+  })
+
+  const pendingCosts = visitor.pendingCosts || {}
+  const keys = Object.keys(pendingCosts)
+  return Promise.all(keys.map(key => pendingCosts[key])).then(values => {
+    const resolvedCosts = { ...options.resolvedCosts }
+    keys.forEach((key, index) => {
+      resolvedCosts[key] = values[index]
+    })
+    return resolvedCosts
+  })
+}
+
+/**
+ * Resolves the asynchronous cost functions used by a document, then creates
+ * the synchronous validation rule to use with this document.
+ */
+export function createAsyncCostAnalysis ({
+  schema,
+  document,
+  ...options
+}: CostAnalysisOptions & {
+  schema: GraphQLSchema,
+  document: DocumentNode | string
+}): Promise<Function> {
+  return resolveCostFunctions({ schema, document, ...options }).then(
+    resolvedCosts => (context: ValidationContext): CostAnalysis =>
+      new CostAnalysis(context, { ...options, resolvedCosts })
+  )
+}
+
+export function getQueryCostAsync (
+  options: GetQueryCostOptions
+): Promise<QueryCost> {
+  return resolveCostFunctions(options).then(resolvedCosts =>
+    getQueryCost({ ...options, resolvedCosts })
+  )
+}
@@ -0,0 +1,129 @@
+import { parse, validate } from 'graphql'
+import { makeExecutableSchema } from 'graphql-tools'
+import {
+  resolveCostFunctions,
+  createAsyncCostAnalysis,
+  getQueryCostAsync
+} from './asyncCostAnalysis'
+import getQueryCost from './getQueryCost'
+
+const typeDefs = `
+  type Member {
+    name: String @cost(complexity: 1)
+  }
+
+  type Organization {
+    members: [Member] @cost(complexity: 1, costFn: "orgMembers")
+    price: Int @cost(costFn: "tenantPrice", useMultipliers: false)
+  }
+
+  type Query {
+    organization(id: ID!): Organization @cost(complexity: 2)
+  }
+`
+
+const schema = makeExecutableSchema({ typeDefs })
+
+const memberCounts = { small: 3, big: 1000 }
+
+const costFunctions = {
+  orgMembers: jest.fn((args, context, info) =>
+    Promise.resolve(memberCounts[info.variableValues.id])
+  ),
+  tenantPrice: jest.fn((args, context) => context.price)
+}
+
+const document = parse(`
+  query organization($id: ID!) {
+    organization(id: $id) {
+      members {
+        name
+      }
+      price
+    }
+  }
+`)
+
+describe('Asynchronous cost analysis Tests', () => {
+  beforeEach(() => {
+    costFunctions.orgMembers.mockClear()
+    costFunctions.tenantPrice.mockClear()
+  })
+
+  test('should resolve the values of the asynchronous cost functions', async () => {
+    const resolvedCosts = await resolveCostFunctions({
+      schema,
+      document,
+      variables: { id: 'small' },
+      context: { price: 7 },
+      costFunctions
+    })
+
+    expect(resolvedCosts).toEqual({ 'Organization.members({})': 3 })
+    expect(costFunctions.orgMembers).toHaveBeenCalledTimes(1)
+    const [args, context, info] = costFunctions.orgMembers.mock.calls[0]
+    expect(args).toEqual({})
+    expect(context).toEqual({ price: 7 })
+    expect(info.fieldName).toEqual('members')
+    expect(info.parentType.name).toEqual('Organization')
+    expect(String(info.returnType)).toEqual('[Member]')
+  })
+
+  test('should compute the cost with the resolved values', async () => {
+    const { cost } = await getQueryCostAsync({
+      schema,
+      document,
+      variables: { id: 'small' },
+      context: { price: 7 },
+      costFunctions
+    })
+
+    expect(cost).toEqual(2 + 3 + 1 + 7)
+  })
+
+  test('should create a validation rule using the resolved values', async () => {
+    const rule = await createAsyncCostAnalysis({
+      schema,
+      document,
+      maximumCost: 100,
+      variables: { id: 'big' },
+      context: { price: 7 },
+      costFunctions
+    })
+
+    const errors = validate(schema, document, [rule])
+    expect(errors.map(error => error.message)).toEqual([
+      'The query exceeds the maximum cost of 100. Actual cost is 1010'
+    ])
+  })
+
+  test('should throw when an asynchronous cost function is used synchronously', () => {
+    expect(() =>
+      getQueryCost({
+        schema,
+        document,
+        variables: { id: 'small' },
+        context: { price: 7 },
+        costFunctions
+      })
+    ).toThrow(
+      'The cost function orgMembers returned a promise, use the asynchronous cost analysis'
+    )
+  })
+
+  test('should report the unknown cost functions and use the default cost', () => {
+    const { cost, errors } = getQueryCost({
+      schema,
+      document,
+      variables: { id: 'small' },
+      defaultCost: 4,
+      costFunctions: { orgMembers: () => 3 }
+    })
+
+    expect(errors.map(error => error.message)).toEqual([
+      'Unknown cost function tenantPrice'
+    ])
+    expect(errors[0].locations).toEqual([{ line: 7, column: 7 }])
+    expect(cost).toEqual(2 + 3 + 1 + 4)
+  })
+})
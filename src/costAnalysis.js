@@ -1,73 +1,1870 @@
 // @flow
 import assert from 'assert'
 import selectn from 'selectn'
-import { getArgumentValues } from 'graphql/execution/values'
+import { valueFromASTUntyped } from 'graphql/utilities/valueFromASTUntyped'
+import { getArgumentValues, getDirectiveValues } from 'graphql/execution/values'
 import {
   GraphQLObjectType,
   GraphQLInterfaceType,
+  GraphQLUnionType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLInputObjectType,
+  GraphQLBoolean,
+  GraphQLInt,
   Kind,
   getNamedType,
-  GraphQLError
+  getNullableType,
+  isAbstractType,
+  valueFromAST,
+  GraphQLError,
+  GraphQLSkipDirective,
+  GraphQLIncludeDirective
 } from 'graphql'
+import { costBudgetDirective } from './costDirective'
 
 import type {
   ValidationContext,
-  FragmentDefinitionNode,
   OperationDefinitionNode,
   FieldNode,
-  InlineFragmentNode,
   DirectiveNode,
   GraphQLNamedType,
   ValueNode,
   ArgumentNode,
-  SelectionNode
+  SelectionNode,
+  SelectionSetNode,
+  GraphQLOutputType,
+  GraphQLInputType,
+  GraphQLInputField,
+  GraphQLArgument,
+  GraphQLSchema,
+  ASTNode
 } from 'graphql'
+import type {
+  CostPlan,
+  CostPlanConditions,
+  CostPlanField,
+  CostPlanInputType,
+  CostPlanOperation,
+  CostPlanSelection,
+  CostPlanValue
+} from './costPlan'
 
-export type CostAnalysisOptions = {
+export type CostBreakdown = {
+  complexity: number,
+  multipliers: Array<number>,
+  cost: number,
+  subtotal: number,
+  children: { [responseName: string]: CostBreakdown }
+}
+
+export type CostMetrics = {
+  depth: number,
+  nodes: number,
+  typeNodes: { [typeName: string]: number }
+}
+
+// the maximum cost requested by an operation with the @costBudget directive
+export type BudgetOverride = {
+  budget: number,
+  allowed: boolean
+}
+
+// the cost of a subscription is its setup cost plus the cost of the
+// payload of each event multiplied by the expected event rate
+export type SubscriptionCost = {
+  setupCost: number,
+  eventCost: number,
+  eventRate: number
+}
+
+export type CostAnalysisResult = CostMetrics & {
+  cost: number,
   maximumCost: number,
+  operations: { [operationName: string]: number },
+  budgetOverride?: BudgetOverride,
+  subscription?: SubscriptionCost,
+  breakdown?: { cost: number, children: { [responseName: string]: CostBreakdown } }
+}
+
+export type OperationType = 'query' | 'mutation' | 'subscription'
+
+export type MaximumCost =
+  | number
+  | { query?: number, mutation?: number, subscription?: number }
+
+export type CostLimit = 'cost' | 'depth' | 'nodes' | 'typeNodes'
+
+export type CostErrorDetails = {
+  operationName: string,
+  operationType: OperationType,
+  limit: CostLimit,
+  typeName?: string
+}
+
+export type BudgetOverrideDetails = {
+  operationName: string,
+  operationType: OperationType,
+  budget: number,
+  maximumCost: number
+}
+
+export type CostSource =
+  | 'costMap'
+  | 'typeCostMap'
+  | 'fieldDirective'
+  | 'typeDirective'
+
+// how the cost of an operation is rounded before being compared with
+// the maximum cost
+export type CostRounding = 'ceil' | 'floor' | 'none'
+
+// how the costs of the fragments of a selection set are combined
+export type FragmentCostMode = 'possibleTypes' | 'max'
+
+export type MultipliersCombiner = (multipliers: Array<number>) => number
+
+// the info object of the resolvers can be passed to the cost functions
+export type CostFunctionInfo = {
+  +fieldName: string,
+  +fieldNodes: $ReadOnlyArray<FieldNode>,
+  +returnType: GraphQLOutputType,
+  +parentType: GraphQLNamedType,
+  +schema: GraphQLSchema,
+  +variableValues: Object
+}
+
+export type CostFunction = (
+  args: { [argument: string]: mixed },
+  context: mixed,
+  info: CostFunctionInfo
+) => number | Promise<number>
+
+export type CostAnalysisOptions = {
+  maximumCost: MaximumCost,
+  maximumDepth?: number,
+  maximumNodes?: number,
+  maximumTypeNodes?: { [typeName: string]: number },
   variables?: Object,
-  onComplete?: (cost: number) => void,
-  createError?: (maximumCost: number, cost: number) => GraphQLError,
+  operationName?: string,
+  onComplete?: (cost: number, result: CostAnalysisResult) => void,
+  createError?: (
+    maximumCost: number,
+    cost: number,
+    details: CostErrorDetails
+  ) => GraphQLError,
   defaultCost?: number,
   costMap?: Object,
-  complexityRange?: { min: number, max: number }
+  complexityRange?: { min: number, max: number },
+  costPrecedence?: Array<CostSource>,
+  defaultListSize?: number,
+  connections?: boolean | { defaultSize?: number },
+  combiners?: { [name: string]: MultipliersCombiner },
+  fragmentCostMode?: FragmentCostMode,
+  rounding?: CostRounding,
+  costFunctions?: { [name: string]: CostFunction },
+  context?: mixed,
+  allowBudgetOverride?: (
+    context: mixed,
+    details: BudgetOverrideDetails
+  ) => boolean,
+  resolvedCosts?: { [key: string]: number },
+  breakdown?: boolean,
+  breakdownInError?: boolean
+}
+
+// the options used to evaluate the cost plan of an operation, shared by
+// the cost analysis and the evaluation of the stored plans
+export type CostEvaluationOptions = {
+  +maximumCost?: MaximumCost,
+  maximumDepth?: number,
+  maximumNodes?: number,
+  maximumTypeNodes?: { [typeName: string]: number },
+  variables?: Object,
+  operationName?: string,
+  createError?: (
+    maximumCost: number,
+    cost: number,
+    details: CostErrorDetails
+  ) => GraphQLError,
+  combiners?: { [name: string]: MultipliersCombiner },
+  rounding?: CostRounding,
+  +costFunctions?: { +[name: string]: Function },
+  context?: mixed,
+  allowBudgetOverride?: (
+    context: mixed,
+    details: BudgetOverrideDetails
+  ) => boolean,
+  resolvedCosts?: { [key: string]: number },
+  breakdown?: boolean,
+  breakdownInError?: boolean
 }
 
-type NodeType =
-  | FieldNode
-  | OperationDefinitionNode
-  | FragmentDefinitionNode
-  | InlineFragmentNode
+// the cost of a fragment spread with the same connection size, its depth
+// being relative to the spread. The fixed cost is the part of the cost
+// which is not multiplied by the parent multipliers, the rest of the cost
+// is scaled by them when the fragment is scalable.
+type FragmentCost = {
+  cost: number,
+  fixedCost: number,
+  scalable: boolean,
+  // the multipliers of its last field, without the parent multipliers
+  multipliers: Array<number>,
+  // the parent multipliers the cost and the breakdown are computed with
+  parentMultipliers: Array<number>,
+  breakdown: { [responseName: string]: CostBreakdown },
+  metrics: CostMetrics
+}
+
+// the parts of the cost and of the subtotal of a breakdown node which are
+// not multiplied by the parent multipliers, and the scaled parts
+type BreakdownParts = {
+  fixedCost: number,
+  scaledCost: number,
+  fixedSubtotal: number,
+  scaledSubtotal: number,
+  // whether the multipliers of the node start with the parent multipliers
+  useMultipliers: boolean
+}
 
 type NodeCostConfiguration = {
   multiplier?: ?number,
   useMultipliers?: boolean,
   complexity?: number,
-  multipliers?: Array<number>
+  multipliers?: Array<number>,
+  assumedSize?: ?number,
+  combiner?: ?string,
+  maxMultiplier?: ?number,
+  costFn?: ?string,
+  eventRate?: ?number,
+  weight?: ?number
+}
+
+// the cost settings read from a cost source, the multipliers and the
+// conditions are resolved with the field arguments by resolveCostSettings
+export type FieldCostSettings = {
+  multiplier?: ?string,
+  useMultipliers?: boolean,
+  complexity?: number,
+  multipliers?: Array<string>,
+  conditions?: mixed,
+  assumedSize?: ?number,
+  combiner?: ?string,
+  maxMultiplier?: ?number,
+  costFn?: ?string,
+  eventRate?: ?number,
+  weight?: ?number
+}
+
+const COST_SOURCES: Array<CostSource> = [
+  'costMap',
+  'typeCostMap',
+  'fieldDirective',
+  'typeDirective'
+]
+
+export const TYPE_COST_KEY = '__type'
+
+export const COMBINERS: { [name: string]: MultipliersCombiner } = {
+  sum: multipliers => multipliers.reduce((total, current) => total + current, 0),
+  product: multipliers =>
+    multipliers.reduce((total, current) => total * current, 1),
+  max: multipliers => Math.max(...multipliers),
+  min: multipliers => Math.min(...multipliers)
+}
+
+// the fields of a Relay connection multiplied by the size of the connection
+const CONNECTION_ITEMS_FIELDS = ['edges', 'nodes']
+
+// the values of the cost functions are identified by field and arguments
+export function getCostFunctionKey (
+  parentTypeName: string,
+  fieldName: string,
+  fieldArgs: { [argument: string]: mixed }
+): string {
+  return `${parentTypeName}.${fieldName}(${JSON.stringify(fieldArgs)})`
+}
+
+function getOperationName (operation: OperationDefinitionNode): string {
+  return operation.name ? operation.name.value : 'anonymous'
+}
+
+function costAnalysisMessage (max, actual, operationType = 'query') {
+  return (
+    `The ${operationType} exceeds the maximum cost of ${max}. ` +
+    `Actual cost is ${actual}`
+  )
 }
 
-function costAnalysisMessage (max, actual) {
-  return (
-    `The query exceeds the maximum cost of ${max}. ` +
-    `Actual cost is ${actual}`
-  )
+function limitMessage (
+  max: number,
+  actual: number,
+  operationType: OperationType,
+  limit: CostLimit,
+  typeName?: string
+) {
+  switch (limit) {
+    case 'depth':
+      return (
+        `The ${operationType} exceeds the maximum depth of ${max}. ` +
+        `Actual depth is ${actual}`
+      )
+    case 'nodes':
+      return (
+        `The ${operationType} exceeds the maximum number of nodes of ${max}. ` +
+        `Actual number of nodes is ${actual}`
+      )
+    case 'typeNodes':
+      return (
+        `The ${operationType} exceeds the maximum number of ` +
+        `${String(typeName)} nodes of ${max}. Actual number is ${actual}`
+      )
+    default:
+      return costAnalysisMessage(max, actual, operationType)
+  }
+}
+
+function assertPositiveNumber (value: mixed, message: string) {
+  assert(typeof value === 'number' && value > 0, message)
+}
+
+// an argument value matches the value of a condition if they are equal,
+// the input fields of an object condition are matched one by one and the
+// lists are compared by their content
+function matchesCondition (value: mixed, expected: mixed): boolean {
+  if (value === expected) {
+    return true
+  }
+  if (Array.isArray(expected)) {
+    return JSON.stringify(value) === JSON.stringify(expected)
+  }
+  if (!expected || typeof expected !== 'object') {
+    return false
+  }
+  if (!value || typeof value !== 'object') {
+    return false
+  }
+  const expectedFields = expected
+  const fields = value
+  return Object.keys(expectedFields).every(name =>
+    matchesCondition(fields[name], expectedFields[name])
+  )
+}
+
+// Int and Float literals are accepted for the numeric cost settings
+function isNumberValue (value: ?ValueNode): boolean %checks {
+  return !!value && (value.kind === Kind.INT || value.kind === Kind.FLOAT)
+}
+
+function getWeight (weight: ?number): number {
+  return typeof weight === 'number' ? weight : 1
+}
+
+// the weight scales the complexity, e.g. to price fields in credits
+function getWeightedComplexity (
+  { complexity, weight }: NodeCostConfiguration,
+  defaultComplexity: number
+): number {
+  return (
+    (typeof complexity === 'number' ? complexity : defaultComplexity) *
+    getWeight(weight)
+  )
+}
+
+// the number of items of an input value, nested lists being flattened
+function countInputItems (value: mixed): number {
+  return Array.isArray(value)
+    ? value.reduce((total, item) => total + countInputItems(item), 0)
+    : 1
+}
+
+function roundCost (cost: number, rounding: ?CostRounding): number {
+  switch (rounding) {
+    case 'ceil':
+      return Math.ceil(cost)
+    case 'floor':
+      return Math.floor(cost)
+    default:
+      return cost
+  }
+}
+
+// an operation type missing from a maximumCost object is not limited
+function getMaximumCost (
+  maximumCost: MaximumCost,
+  operationType: OperationType
+): number {
+  if (typeof maximumCost === 'number') {
+    return maximumCost
+  }
+  const maximumOperationCost = maximumCost[operationType]
+  return typeof maximumOperationCost === 'number'
+    ? maximumOperationCost
+    : Infinity
+}
+
+function getMultipliers (
+  multipliers: Array<string> = [],
+  fieldArgs: { [argument: string]: mixed }
+): Array<number> {
+  // get arguments values, convert to integer and delete 0 values from list
+  return multipliers
+    .map(multiplier => {
+      const value = selectn(multiplier, fieldArgs)
+
+      // if the argument is an array, the multiplier will be the length of it
+      if (Array.isArray(value)) {
+        return value.length
+      }
+      return Number(value) || 0
+    })
+    .filter(multiplier => multiplier !== 0)
+}
+
+function getCombiner (
+  combiner: ?string,
+  customCombiners?: { [name: string]: MultipliersCombiner }
+): ?MultipliersCombiner {
+  const combine = { ...COMBINERS, ...customCombiners }[combiner || 'sum']
+  return typeof combine === 'function' ? combine : undefined
+}
+
+// the multipliers of a field are combined into a single multiplier,
+// added up by default and capped by maxMultiplier. The unknown combiners
+// are reported by computeCost.
+function combineMultipliers (
+  multipliers: Array<number>,
+  combiner: ?string = 'sum',
+  maxMultiplier: ?number,
+  customCombiners?: { [name: string]: MultipliersCombiner }
+): number {
+  const combine = getCombiner(combiner, customCombiners) || COMBINERS.sum
+  const multiplier = combine(multipliers)
+  return typeof maxMultiplier === 'number'
+    ? Math.min(multiplier, maxMultiplier)
+    : multiplier
+}
+
+// the complexity of the first condition whose when object matches the
+// argument values, its keys are paths like the multipliers
+function getConditionalComplexity (
+  conditions: mixed,
+  fieldArgs: { [argument: string]: mixed }
+): ?number {
+  if (!Array.isArray(conditions)) {
+    return
+  }
+  for (const condition of conditions) {
+    if (!condition || typeof condition !== 'object') {
+      continue
+    }
+    const { when, complexity } = condition
+    if (
+      typeof complexity === 'number' &&
+      when &&
+      typeof when === 'object' &&
+      Object.keys(when).every(path =>
+        matchesCondition(selectn(path, fieldArgs), when[path])
+      )
+    ) {
+      return complexity
+    }
+  }
+}
+
+function resolveCostSettings (
+  settings: FieldCostSettings,
+  fieldArgs: { [argument: string]: mixed }
+): NodeCostConfiguration {
+  const { multiplier, multipliers, conditions, ...costArgs } = settings
+  const conditionalComplexity = getConditionalComplexity(conditions, fieldArgs)
+  return {
+    ...costArgs,
+    complexity:
+      typeof conditionalComplexity === 'number'
+        ? conditionalComplexity
+        : settings.complexity,
+    multiplier: multiplier ? Number(selectn(multiplier, fieldArgs)) : undefined,
+    multipliers: getMultipliers(multipliers, fieldArgs)
+  }
+}
+
+// the settings of the possible types of an abstract type are resolved, and
+// the most complex of them is used
+function selectCostArgs (
+  candidates: Array<FieldCostSettings>,
+  fieldArgs: { [argument: string]: mixed },
+  defaultComplexity: number
+): NodeCostConfiguration | void {
+  const getComplexity = (costArgs: NodeCostConfiguration): number =>
+    typeof costArgs.complexity === 'number'
+      ? costArgs.complexity
+      : defaultComplexity
+  let selected
+  for (const settings of candidates) {
+    const costArgs = resolveCostSettings(settings, fieldArgs)
+    if (!selected || getComplexity(costArgs) > getComplexity(selected)) {
+      selected = costArgs
+    }
+  }
+  return selected
+}
+
+// the cost of a field and the multipliers of its children
+function getFieldCost (
+  {
+    multiplier,
+    useMultipliers = true,
+    complexity,
+    multipliers = [],
+    combiner,
+    maxMultiplier,
+    weight
+  }: NodeCostConfiguration,
+  parentMultipliers: Array<number>,
+  {
+    defaultComplexity,
+    combiners
+  }: {
+    defaultComplexity: number,
+    combiners?: { [name: string]: MultipliersCombiner }
+  }
+): { cost: number, multipliers: Array<number> } {
+  const weightedComplexity = getWeightedComplexity(
+    { complexity, weight },
+    defaultComplexity
+  )
+  if (!useMultipliers) {
+    return { cost: weightedComplexity, multipliers: parentMultipliers }
+  }
+
+  // multiplier is deprecated
+  if (multiplier) {
+    multipliers = multipliers.length ? multipliers : [multiplier]
+  }
+  const fieldMultipliers = multipliers.length
+    ? [
+      ...parentMultipliers,
+      combineMultipliers(multipliers, combiner, maxMultiplier, combiners)
+    ]
+    : parentMultipliers
+  return {
+    cost: fieldMultipliers.reduce(
+      (acc, multiplier) => acc * multiplier,
+      weightedComplexity
+    ),
+    multipliers: fieldMultipliers
+  }
+}
+
+// the size of a list field without multipliers is estimated with its
+// assumedSize or the defaultListSize option
+function getListSize (
+  isList: boolean,
+  costArgs: NodeCostConfiguration | void,
+  defaultListSize: ?number
+): ?number {
+  if (!isList) {
+    return
+  }
+  if (
+    costArgs &&
+    ((costArgs.multipliers && costArgs.multipliers.length) ||
+      costArgs.multiplier)
+  ) {
+    return
+  }
+
+  const assumedSize = costArgs && costArgs.assumedSize
+  return typeof assumedSize === 'number' ? assumedSize : defaultListSize
+}
+
+// the size of a connection is the highest of its first and last arguments,
+// unless its cost settings combine them in another way. It is capped by
+// their maxMultiplier.
+function getConnectionSize (
+  fieldArgs: { [argument: string]: mixed },
+  defaultSize: ?number,
+  { combiner, maxMultiplier }: NodeCostConfiguration = {},
+  combiners?: { [name: string]: MultipliersCombiner }
+): ?number {
+  const sizes: Array<number> = []
+  ;[fieldArgs.first, fieldArgs.last].forEach(size => {
+    if (typeof size === 'number') {
+      sizes.push(size)
+    }
+  })
+  if (!sizes.length) {
+    return typeof defaultSize === 'number' && typeof maxMultiplier === 'number'
+      ? Math.min(defaultSize, maxMultiplier)
+      : defaultSize
+  }
+  return combineMultipliers(
+    sizes,
+    combiner && getCombiner(combiner, combiners) ? combiner : 'max',
+    maxMultiplier,
+    combiners
+  )
+}
+
+// the fragments applying to the same runtime type are all executed, so
+// their costs are added up for each possible type of the selection set,
+// and the most expensive type is kept. With the 'max' fragmentCostMode,
+// the most expensive fragment is kept.
+// The type names are the possible types of the selection set and of the
+// type conditions, a fragment without them applies to every type.
+function combineFragmentCosts (
+  fragmentCosts: Array<{ cost: number, typeNames: ?Array<string> }>,
+  typeNames: ?Array<string>,
+  fragmentCostMode?: FragmentCostMode
+): number {
+  const costs = fragmentCosts.map(({ cost }) => cost)
+  if (fragmentCostMode === 'max') {
+    return Math.max(...costs)
+  }
+
+  const possibleTypeNames = typeNames ? [...typeNames] : []
+  if (!typeNames) {
+    fragmentCosts.forEach(fragmentCost => {
+      possibleTypeNames.push(...(fragmentCost.typeNames || []))
+    })
+  }
+  if (!possibleTypeNames.length) {
+    return costs.reduce((total, cost) => total + cost, 0)
+  }
+
+  const typeCosts: Array<number> = possibleTypeNames.map(typeName =>
+    fragmentCosts.reduce(
+      (total, fragmentCost) =>
+        !fragmentCost.typeNames || fragmentCost.typeNames.includes(typeName)
+          ? total + fragmentCost.cost
+          : total,
+      0
+    )
+  )
+  return Math.max(...typeCosts)
+}
+
+// the identical inline fragments of a selection set are executed once,
+// they are compared without their @skip and @include conditions
+const inlineFragmentKeys: WeakMap<CostPlanSelection, string> = new WeakMap()
+
+function getInlineFragmentKey (selection: CostPlanSelection): string {
+  let key = inlineFragmentKeys.get(selection)
+  if (key === undefined) {
+    const { skip, include, ...fragment } = selection
+    key = JSON.stringify(fragment)
+    inlineFragmentKeys.set(selection, key)
+  }
+  return key
+}
+
+// the breakdown nodes of the cached fragments are scaled by the parent
+// multipliers of each spread
+const breakdownParts: WeakMap<CostBreakdown, BreakdownParts> = new WeakMap()
+
+function getBreakdownParts (fieldBreakdown: CostBreakdown): BreakdownParts {
+  return (
+    breakdownParts.get(fieldBreakdown) || {
+      fixedCost: fieldBreakdown.cost,
+      scaledCost: 0,
+      fixedSubtotal: fieldBreakdown.subtotal,
+      scaledSubtotal: 0,
+      useMultipliers: false
+    }
+  )
+}
+
+// fields selected several times under the same response name (e.g. in
+// several fragments) are merged, the most expensive selection is kept.
+// Returns false when another selection would be the most expensive one
+// with other parent multipliers.
+function addToBreakdown (
+  breakdown: { [responseName: string]: CostBreakdown },
+  responseName: string,
+  fieldBreakdown: CostBreakdown
+): boolean {
+  const existing = breakdown[responseName]
+  if (!existing || existing.subtotal < fieldBreakdown.subtotal) {
+    breakdown[responseName] = fieldBreakdown
+  }
+  if (!existing) {
+    return true
+  }
+  const existingParts = getBreakdownParts(existing)
+  const parts = getBreakdownParts(fieldBreakdown)
+  return (
+    (existingParts.fixedSubtotal - parts.fixedSubtotal) *
+      (existingParts.scaledSubtotal - parts.scaledSubtotal) >=
+    0
+  )
+}
+
+// the breakdown of a fragment computed with other parent multipliers: the
+// scaled parts of the costs are multiplied by factor, and the parent
+// multipliers of the nodes are replaced
+function scaleBreakdown (
+  breakdown: { [responseName: string]: CostBreakdown },
+  fromMultipliers: Array<number>,
+  toMultipliers: Array<number>,
+  factor: number
+): { [responseName: string]: CostBreakdown } {
+  if (
+    factor === 1 &&
+    fromMultipliers.length === toMultipliers.length &&
+    fromMultipliers.every((multiplier, i) => multiplier === toMultipliers[i])
+  ) {
+    return breakdown
+  }
+
+  const scaledBreakdown = {}
+  Object.keys(breakdown).forEach(responseName => {
+    const fieldBreakdown = breakdown[responseName]
+    const parts = getBreakdownParts(fieldBreakdown)
+    const scaledParts = {
+      ...parts,
+      scaledCost: parts.scaledCost * factor,
+      scaledSubtotal: parts.scaledSubtotal * factor
+    }
+    const scaledFieldBreakdown = {
+      complexity: fieldBreakdown.complexity,
+      multipliers: parts.useMultipliers
+        ? [
+          ...toMultipliers,
+          ...fieldBreakdown.multipliers.slice(fromMultipliers.length)
+        ]
+        : fieldBreakdown.multipliers,
+      cost: Math.max(scaledParts.fixedCost + scaledParts.scaledCost, 0),
+      subtotal: Math.max(
+        scaledParts.fixedSubtotal + scaledParts.scaledSubtotal,
+        0
+      ),
+      children: scaleBreakdown(
+        fieldBreakdown.children,
+        fromMultipliers,
+        toMultipliers,
+        factor
+      )
+    }
+    breakdownParts.set(scaledFieldBreakdown, scaledParts)
+    scaledBreakdown[responseName] = scaledFieldBreakdown
+  })
+  return scaledBreakdown
+}
+
+function hasVariables (node: ValueNode): boolean {
+  switch (node.kind) {
+    case Kind.VARIABLE:
+      return true
+    case Kind.LIST:
+      return node.values.some(hasVariables)
+    case Kind.OBJECT:
+      return node.fields.some(field => hasVariables(field.value))
+    default:
+      return false
+  }
+}
+
+// the literals are coerced once, the values containing variables are kept
+// as a tree of their coerced parts
+function compileValue (node: ValueNode, type: GraphQLInputType): CostPlanValue {
+  if (node.kind === Kind.VARIABLE) {
+    return { kind: 'variable', name: node.name.value }
+  }
+  if (!hasVariables(node)) {
+    return { kind: 'value', value: valueFromAST(node, type) }
+  }
+
+  const nullableType = getNullableType(type)
+  if (nullableType instanceof GraphQLList) {
+    const itemType = nullableType.ofType
+    // a single value is coerced to a list of one item
+    return {
+      kind: 'list',
+      values:
+        node.kind === Kind.LIST
+          ? node.values.map(item => compileValue(item, itemType))
+          : [compileValue(node, itemType)]
+    }
+  }
+  if (
+    node.kind !== Kind.OBJECT ||
+    !(nullableType instanceof GraphQLInputObjectType)
+  ) {
+    return { kind: 'value', value: undefined }
+  }
+
+  const fieldNodes = node.fields
+  const inputFields = nullableType.getFields()
+  const fields = {}
+  Object.keys(inputFields).forEach(name => {
+    const inputField = inputFields[name]
+    const fieldNode = fieldNodes.find(field => field.name.value === name)
+    if (!fieldNode) {
+      if (inputField.defaultValue !== undefined) {
+        fields[name] = { kind: 'value', value: inputField.defaultValue }
+      }
+      return
+    }
+    const value = compileValue(fieldNode.value, inputField.type)
+    fields[name] =
+      value.kind === 'variable'
+        ? { ...value, defaultValue: inputField.defaultValue }
+        : value
+  })
+  return { kind: 'object', fields }
+}
+
+// the variables are used as they are given, like by the execution
+function resolveValue (value: CostPlanValue, variables: Object): mixed {
+  switch (value.kind) {
+    case 'variable':
+      return variables[value.name] !== undefined
+        ? variables[value.name]
+        : value.defaultValue
+    case 'list':
+      return value.values.map(item => {
+        const itemValue = resolveValue(item, variables)
+        return itemValue === undefined ? null : itemValue
+      })
+    case 'object': {
+      const { fields } = value
+      const object = {}
+      Object.keys(fields).forEach(name => {
+        const fieldValue = resolveValue(fields[name], variables)
+        if (fieldValue !== undefined) {
+          object[name] = fieldValue
+        }
+      })
+      return object
+    }
+    default:
+      return value.value
+  }
+}
+
+// the plan of a document is compiled with the static options of the
+// analysis, its operations and fragments are added as they are compiled
+function createCostPlan (options: CostAnalysisOptions): CostPlan {
+  const { connections, complexityRange } = options
+  return {
+    defaultCost: options.defaultCost || 0,
+    defaultComplexity: (complexityRange && complexityRange.min) || 1,
+    complexityRange,
+    defaultListSize: options.defaultListSize,
+    // the size of the connections without first and last arguments
+    defaultConnectionSize:
+      connections && typeof connections === 'object'
+        ? connections.defaultSize
+        : options.defaultListSize,
+    fragmentCostMode: options.fragmentCostMode,
+    possibleTypes: {},
+    inputTypes: {},
+    fragments: {},
+    operations: []
+  }
+}
+
+// evaluates the cost plans of the operations with the variables of the
+// request, for the cost analysis and for the plans stored with persisted
+// queries
+export class CostEvaluator<Options: CostEvaluationOptions> {
+  plan: CostPlan
+  options: Options
+  reportError: (error: GraphQLError) => void
+  cost: number
+  costliestOperation: ?string
+  operationCosts: { [operationName: string]: number }
+  operationTypes: { [operationName: string]: OperationType }
+  operationBreakdowns: {
+    [operationName: string]: { [responseName: string]: CostBreakdown }
+  }
+  operationMetrics: { [operationName: string]: CostMetrics }
+  operationBudgets: { [operationName: string]: BudgetOverride }
+  operationSubscriptions: { [operationName: string]: SubscriptionCost }
+  subscriptionCost: ?SubscriptionCost
+  metrics: CostMetrics
+  currentDepth: number
+  operationMultipliers: Array<number>
+  defaultCost: number
+  defaultComplexity: number
+  fragmentCosts: { [key: string]: FragmentCost }
+  fixedCost: number
+  scalableCost: boolean
+  visitingFragments: Set<string>
+  cyclicFragments: Set<string>
+
+  constructor (
+    plan: CostPlan,
+    options: Options,
+    reportError: (error: GraphQLError) => void
+  ) {
+    this.plan = plan
+    this.options = options
+    this.reportError = reportError
+    this.cost = 0
+    this.costliestOperation = undefined
+    this.operationCosts = {}
+    this.operationTypes = {}
+    this.operationBreakdowns = {}
+    this.operationMetrics = {}
+    this.operationBudgets = {}
+    this.operationSubscriptions = {}
+    this.subscriptionCost = undefined
+    this.metrics = { depth: 0, nodes: 0, typeNodes: {} }
+    this.currentDepth = 0
+    this.operationMultipliers = []
+    this.defaultCost = plan.defaultCost
+    this.defaultComplexity = plan.defaultComplexity
+    this.fragmentCosts = {}
+    this.fixedCost = 0
+    this.scalableCost = true
+    this.visitingFragments = new Set()
+    this.cyclicFragments = new Set()
+  }
+
+  evaluateOperation (operation: CostPlanOperation) {
+    const breakdown = this.options.breakdown ? {} : undefined
+    // the depth and the number of nodes are measured during the traversal
+    this.metrics = { depth: 0, nodes: 0, typeNodes: {} }
+    this.currentDepth = 0
+    this.subscriptionCost = undefined
+    const operationName = operation.name || 'anonymous'
+    let cost
+    try {
+      cost = roundCost(
+        this.computeSelectionsCost(
+          operation.selections,
+          operation.typeName,
+          [],
+          breakdown
+        ),
+        this.options.rounding
+      )
+    } catch (e) {
+      // the selections are costed recursively, the operations nested too
+      // deeply for the call stack can't be costed
+      if (!(e instanceof RangeError)) {
+        throw e
+      }
+      this.reportError(
+        new GraphQLError(
+          `The ${operation.operationType} ${operationName} is nested too ` +
+            `deeply to compute its cost`,
+          this.getNodes(operation)
+        )
+      )
+      this.currentDepth = 0
+      this.visitingFragments = new Set()
+      cost = Infinity
+    }
+
+    this.operationCosts[operationName] = cost
+    this.operationTypes[operationName] = operation.operationType
+    this.operationMetrics[operationName] = this.metrics
+    if (this.subscriptionCost) {
+      this.operationSubscriptions[operationName] = this.subscriptionCost
+    }
+    const budgetOverride = this.getBudgetOverride(operation, operationName)
+    if (budgetOverride) {
+      this.operationBudgets[operationName] = budgetOverride
+    }
+    if (breakdown) {
+      this.operationBreakdowns[operationName] = breakdown
+    }
+
+    // only one operation is executed per request, so the cost of the
+    // document is the cost of its most expensive operation
+    if (this.costliestOperation === undefined || cost > this.cost) {
+      this.cost = cost
+      this.costliestOperation = operationName
+    }
+  }
+
+  checkLimits (operationName: string) {
+    if (
+      this.operationCosts[operationName] >
+      this.getOperationMaximumCost(operationName)
+    ) {
+      this.reportError(this.createError(operationName))
+    }
+
+    const { depth, nodes, typeNodes } = this.operationMetrics[operationName]
+    const { maximumDepth, maximumNodes, maximumTypeNodes } = this.options
+    if (typeof maximumDepth === 'number' && depth > maximumDepth) {
+      this.reportError(this.createError(operationName, 'depth'))
+    }
+    if (typeof maximumNodes === 'number' && nodes > maximumNodes) {
+      this.reportError(this.createError(operationName, 'nodes'))
+    }
+    if (maximumTypeNodes) {
+      Object.keys(maximumTypeNodes).forEach(typeName => {
+        if ((typeNodes[typeName] || 0) > maximumTypeNodes[typeName]) {
+          this.reportError(
+            this.createError(operationName, 'typeNodes', typeName)
+          )
+        }
+      })
+    }
+  }
+
+  getMaximumCost (operationType: OperationType): number {
+    return getMaximumCost(this.options.maximumCost || Infinity, operationType)
+  }
+
+  // the budget requested by the @costBudget directive of an operation
+  // replaces the maximum cost when the allowBudgetOverride option allows it
+  getBudgetOverride (
+    operation: CostPlanOperation,
+    operationName: string
+  ): ?BudgetOverride {
+    if (!operation.budget) {
+      return
+    }
+
+    const budget = resolveValue(operation.budget, this.options.variables || {})
+    if (typeof budget !== 'number' || budget <= 0) {
+      this.reportError(
+        new GraphQLError(
+          `The cost budget of the operation ${operationName} ` +
+            `must be a positive number`,
+          this.getNodes(operation)
+        )
+      )
+      return
+    }
+
+    const { allowBudgetOverride } = this.options
+    const allowed =
+      typeof allowBudgetOverride === 'function' &&
+      allowBudgetOverride(this.options.context, {
+        operationName,
+        operationType: operation.operationType,
+        budget,
+        maximumCost: this.getMaximumCost(operation.operationType)
+      }) === true
+    return { budget, allowed }
+  }
+
+  getOperationMaximumCost (operationName: string): number {
+    const budgetOverride = this.operationBudgets[operationName]
+    return budgetOverride && budgetOverride.allowed
+      ? budgetOverride.budget
+      : this.getMaximumCost(this.operationTypes[operationName])
+  }
+
+  getResult (): CostAnalysisResult {
+    const { costliestOperation } = this
+    const result: CostAnalysisResult = {
+      cost: this.cost,
+      maximumCost: costliestOperation
+        ? this.getOperationMaximumCost(costliestOperation)
+        : this.getMaximumCost('query'),
+      operations: { ...this.operationCosts },
+      ...(costliestOperation
+        ? this.operationMetrics[costliestOperation]
+        : { depth: 0, nodes: 0, typeNodes: {} })
+    }
+    if (
+      costliestOperation &&
+      this.operationSubscriptions[costliestOperation]
+    ) {
+      result.subscription = {
+        ...this.operationSubscriptions[costliestOperation]
+      }
+    }
+    if (costliestOperation && this.operationBudgets[costliestOperation]) {
+      result.budgetOverride = { ...this.operationBudgets[costliestOperation] }
+    }
+    if (this.options.breakdown) {
+      result.breakdown = this.getBreakdown(this.costliestOperation)
+    }
+    return result
+  }
+
+  getBreakdown (operationName: ?string) {
+    const cost = operationName ? this.operationCosts[operationName] : 0
+    return {
+      cost,
+      children: (operationName && this.operationBreakdowns[operationName]) || {}
+    }
+  }
+
+  // the nodes of the document located by the errors, known when the plan
+  // is evaluated by the cost analysis
+  getNodes (
+    value: CostPlanSelection | CostPlanOperation
+  ): Array<ASTNode> | void {}
+
+  computeCost (costArgs?: NodeCostConfiguration): number {
+    if (typeof costArgs !== 'object') {
+      return this.chargeFixedCost(this.defaultCost)
+    }
+
+    // multiplier is deprecated
+    if (costArgs.multiplier) {
+      process.env.NODE_ENV !== 'production' &&
+        console.warn(
+          `The multiplier property is DEPRECATED and will be removed in the next release. \n` +
+            `Please use the multipliers field instead.`
+        )
+    }
+
+    const { complexity = this.defaultComplexity } = costArgs
+    const { complexityRange } = this.plan
+    if (
+      complexityRange &&
+      (complexity > complexityRange.max || complexity < complexityRange.min)
+    ) {
+      this.reportError(
+        new GraphQLError(
+          `The complexity argument must be between ` +
+            `${complexityRange.min} and ${complexityRange.max}`
+        )
+      )
+      return this.chargeFixedCost(this.defaultCost)
+    }
+
+    const { combiner } = costArgs
+    if (combiner && !getCombiner(combiner, this.options.combiners)) {
+      this.reportError(
+        new GraphQLError(`Unknown multipliers combiner ${combiner}`)
+      )
+      return this.chargeFixedCost(this.defaultCost)
+    }
+
+    const { cost, multipliers } = getFieldCost(
+      costArgs,
+      this.operationMultipliers,
+      {
+        defaultComplexity: this.defaultComplexity,
+        combiners: this.options.combiners
+      }
+    )
+    this.operationMultipliers = multipliers
+    return costArgs.useMultipliers === false
+      ? this.chargeFixedCost(cost)
+      : cost
+  }
+
+  // the costs which are not multiplied by the parent multipliers, like the
+  // default cost, are recorded to scale the cost of the fragments
+  chargeFixedCost (cost: number): number {
+    this.fixedCost += cost
+    return cost
+  }
+
+  // a negative cost is not charged. The cost of a fragment stays scalable
+  // if its fixed part and its scaled part are both positive or negative.
+  clampCost (cost: number, fixedCost: number): number {
+    const nodeFixedCost = this.fixedCost - fixedCost
+    const nodeScaledCost = cost - nodeFixedCost
+    if (nodeFixedCost * nodeScaledCost < 0) {
+      this.scalableCost = false
+    }
+    if (cost < 0) {
+      this.fixedCost = fixedCost
+      return 0
+    }
+    return cost
+  }
+
+  // the complexity of a field can be computed by a cost function. When a
+  // cost function returns a promise, its value must have been resolved in
+  // the resolvedCosts option. An unknown cost function is reported, and
+  // null is returned.
+  getComplexityFromCostFunction (
+    costFn: string,
+    field: CostPlanField,
+    fieldArgs: { [argument: string]: mixed }
+  ): number | null | void {
+    const key = getCostFunctionKey(
+      field.parentTypeName,
+      field.fieldName,
+      fieldArgs
+    )
+    const { resolvedCosts, costFunctions } = this.options
+    if (resolvedCosts && typeof resolvedCosts[key] === 'number') {
+      return resolvedCosts[key]
+    }
+
+    const costFunction = costFunctions && costFunctions[costFn]
+    if (typeof costFunction !== 'function') {
+      this.reportError(
+        new GraphQLError(
+          `Unknown cost function ${costFn}`,
+          this.getNodes(field)
+        )
+      )
+      return null
+    }
+    const complexity = this.callCostFunction(
+      costFunction,
+      costFn,
+      field,
+      fieldArgs,
+      key
+    )
+    return typeof complexity === 'number' ? complexity : undefined
+  }
+
+  // the cost settings of a field resolved with its argument values, also
+  // used to measure the actual cost during the execution
+  getFieldCostArgs (
+    settings: Array<FieldCostSettings>,
+    fieldArgs: { [argument: string]: mixed }
+  ): NodeCostConfiguration | void {
+    return selectCostArgs(settings, fieldArgs, this.defaultComplexity)
+  }
+
+  // the cost analysis and the evaluation of the plans give different
+  // information to the cost functions
+  callCostFunction (
+    costFunction: Function,
+    costFn: string,
+    field: CostPlanField,
+    fieldArgs: { [argument: string]: mixed },
+    key: string
+  ): mixed {}
+
+  // the cost of the input values of a field, computed from the complexity
+  // of the input object types and input fields found in its arguments
+  getInputValueCost (value: mixed, type: CostPlanInputType): number {
+    if (value === null || value === undefined) {
+      return 0
+    }
+    if (typeof type !== 'string') {
+      const itemType = type.list
+      // a single value is coerced to a list of one item
+      const items = Array.isArray(value) ? value : [value]
+      return items.reduce(
+        (total, item) => total + this.getInputValueCost(item, itemType),
+        0
+      )
+    }
+    const inputType = this.plan.inputTypes[type]
+    if (!inputType || typeof value !== 'object') {
+      return 0
+    }
+
+    const inputObject: Object = value
+    const { fields } = inputType
+    let cost = inputType.complexity
+    Object.keys(fields).forEach(fieldName => {
+      const fieldValue = inputObject[fieldName]
+      if (fieldValue === null || fieldValue === undefined) {
+        return
+      }
+      const field = fields[fieldName]
+      // the complexity of an input field is charged for each item of a list
+      if (field.complexity) {
+        cost += field.complexity * countInputItems(fieldValue)
+      }
+      if (field.type) {
+        cost += this.getInputValueCost(fieldValue, field.type)
+      }
+    })
+    return cost
+  }
+
+  // the names of the runtime types a selection set or a fragment applies to
+  getTypeNames (typeName: ?string): ?Array<string> {
+    if (!typeName) {
+      return
+    }
+    return this.plan.possibleTypes[typeName] || [typeName]
+  }
+
+  // the selections excluded by the @skip and @include directives are
+  // not executed, so they are not costed
+  shouldInclude (selection: CostPlanSelection): boolean {
+    const variables = this.options.variables || {}
+    const { skip, include } = selection
+    if (skip && resolveValue(skip, variables) === true) {
+      return false
+    }
+    return !include || resolveValue(include, variables) !== false
+  }
+
+  // when a breakdown object is given, the cost of each selected field is
+  // recorded in it, keyed by the field's response name.
+  // connectionSize is the size of the connection selected by the parent
+  // field, it multiplies the cost of its edges and nodes fields
+  computeSelectionsCost (
+    selections: Array<CostPlanSelection>,
+    typeName: ?string,
+    parentMultipliers: Array<number> = [],
+    breakdown?: { [responseName: string]: CostBreakdown },
+    connectionSize?: ?number
+  ): number {
+    let total = 0
+    const fragmentCosts = []
+    // a fragment spread twice in a selection set is executed once
+    const spreadNames = new Set()
+    const inlineFragments = new Set()
+
+    for (const selection of selections) {
+      if (!this.shouldInclude(selection)) {
+        continue
+      }
+      if (selection.kind === 'fragmentSpread') {
+        if (spreadNames.has(selection.name)) {
+          continue
+        }
+        spreadNames.add(selection.name)
+      } else if (selection.kind === 'inlineFragment') {
+        const key = getInlineFragmentKey(selection)
+        if (inlineFragments.has(key)) {
+          continue
+        }
+        inlineFragments.add(key)
+      }
+
+      // reset the operation multipliers with parentMultipliers for each selection
+      // it resolves issue #14: https://github.com/pa-bru/graphql-cost-analysis/issues/14
+      this.operationMultipliers = [...parentMultipliers]
+      const fixedCost = this.fixedCost
+      let nodeCost: number = 0
+
+      switch (selection.kind) {
+        case 'field':
+          nodeCost = this.computeFieldCost(
+            selection,
+            parentMultipliers,
+            breakdown,
+            connectionSize
+          )
+          break
+        case 'fragmentSpread': {
+          const fragment = this.plan.fragments[selection.name]
+          const cost = this.computeFragmentSpreadCost(
+            selection,
+            this.operationMultipliers,
+            breakdown,
+            connectionSize
+          )
+          fragmentCosts.push({
+            cost,
+            fixedCost: this.fixedCost - fixedCost,
+            typeNames: fragment
+              ? this.getTypeNames(fragment.typeCondition)
+              : undefined
+          })
+          continue
+        }
+        case 'inlineFragment': {
+          const cost = this.computeSelectionsCost(
+            selection.selections,
+            selection.typeName,
+            this.operationMultipliers,
+            breakdown,
+            connectionSize
+          )
+          fragmentCosts.push({
+            cost,
+            fixedCost: this.fixedCost - fixedCost,
+            typeNames: this.getTypeNames(selection.typeName)
+          })
+          continue
+        }
+        default:
+          nodeCost = this.chargeFixedCost(this.defaultCost)
+      }
+
+      total = this.clampCost(nodeCost, fixedCost) + total
+    }
+
+    if (!fragmentCosts.length) {
+      return total
+    }
+
+    return total + this.combineFragmentCosts(fragmentCosts, typeName)
+  }
+
+  // the fragment costs are combined like their fixed parts and their
+  // scaled parts, the cost of a fragment stays scalable if the same
+  // fragments have the largest fixed part and the largest scaled part
+  combineFragmentCosts (
+    fragmentCosts: Array<{
+      cost: number,
+      fixedCost: number,
+      typeNames: ?Array<string>
+    }>,
+    typeName: ?string
+  ): number {
+    const typeNames = this.getTypeNames(typeName)
+    const { fragmentCostMode } = this.plan
+    const combine = (getCost: ({ cost: number, fixedCost: number }) => number) =>
+      combineFragmentCosts(
+        fragmentCosts.map(fragmentCost => ({
+          cost: getCost(fragmentCost),
+          typeNames: fragmentCost.typeNames
+        })),
+        typeNames,
+        fragmentCostMode
+      )
+
+    const cost = combine(({ cost }) => cost)
+    const fixedCost = combine(({ fixedCost }) => fixedCost)
+    if (cost !== fixedCost + combine(({ cost, fixedCost }) => cost - fixedCost)) {
+      this.scalableCost = false
+    }
+    this.fixedCost += fixedCost - fragmentCosts.reduce(
+      (total, fragmentCost) => total + fragmentCost.fixedCost,
+      0
+    )
+    return cost
+  }
+
+  computeFieldCost (
+    field: CostPlanField,
+    parentMultipliers: Array<number>,
+    breakdown?: { [responseName: string]: CostBreakdown },
+    connectionSize?: ?number
+  ): number {
+    const depth = this.currentDepth + 1
+    const { metrics, plan, fixedCost } = this
+    metrics.depth = Math.max(metrics.depth, depth)
+    metrics.nodes += 1
+    if (field.typeName) {
+      metrics.typeNodes[field.typeName] =
+        (metrics.typeNodes[field.typeName] || 0) + 1
+    }
+
+    // get field's arguments
+    const variables = this.options.variables || {}
+    const { args, inputs } = field
+    const fieldArgs = {}
+    Object.keys(args).forEach(name => {
+      const value = resolveValue(args[name], variables)
+      if (value !== undefined) {
+        fieldArgs[name] = value
+      }
+    })
+
+    // the cost settings used to compute the cost of the current field
+    let costArgs = this.getFieldCostArgs(field.settings, fieldArgs)
+
+    if (costArgs && costArgs.costFn) {
+      const complexity = this.getComplexityFromCostFunction(
+        costArgs.costFn,
+        field,
+        fieldArgs
+      )
+      if (complexity === null) {
+        // the field is costed like a field without cost settings
+        costArgs = undefined
+      } else if (typeof complexity === 'number') {
+        costArgs = { ...costArgs, complexity }
+      }
+    }
+
+    // a connection is charged once, its size only multiplies
+    // the cost of its edges and nodes
+    if (field.isConnection && costArgs) {
+      costArgs = { ...costArgs, multiplier: undefined, multipliers: [] }
+    }
+    let isConnectionItems = false
+    if (
+      typeof connectionSize === 'number' &&
+      CONNECTION_ITEMS_FIELDS.includes(field.fieldName)
+    ) {
+      isConnectionItems = true
+      this.operationMultipliers = [...this.operationMultipliers, connectionSize]
+    }
+
+    const listSize = isConnectionItems
+      ? undefined
+      : getListSize(field.isList, costArgs, plan.defaultListSize)
+    if (costArgs && listSize) {
+      costArgs = { ...costArgs, multipliers: [listSize] }
+    }
+    let nodeCost = this.computeCost(costArgs)
+
+    // the work done with the input values happens once per resolution
+    // of the field, so it is multiplied by the parent multipliers
+    const inputCost = Object.keys(inputs).reduce(
+      (total, name) =>
+        total + this.getInputValueCost(fieldArgs[name], inputs[name]),
+      0
+    )
+    if (inputCost) {
+      nodeCost += parentMultipliers.reduce(
+        (acc, multiplier) => acc * multiplier,
+        inputCost
+      )
+    }
+
+    // the cost of a field without cost settings is not multiplied,
+    // but the cost of its children is
+    if (!costArgs && listSize) {
+      this.operationMultipliers = [...this.operationMultipliers, listSize]
+    }
+
+    const fieldCost = nodeCost
+    const fieldFixedCost = this.fixedCost - fixedCost
+    const fieldBreakdown: ?CostBreakdown = breakdown
+      ? {
+        complexity: costArgs
+          ? getWeightedComplexity(costArgs, this.defaultComplexity)
+          : this.defaultCost,
+        multipliers:
+          costArgs && costArgs.useMultipliers !== false
+            ? [...this.operationMultipliers]
+            : [],
+        cost: Math.max(nodeCost, 0),
+        subtotal: 0,
+        children: {}
+      }
+      : undefined
+
+    this.currentDepth = depth
+    let childCost = this.computeSelectionsCost(
+      field.selections,
+      field.typeName,
+      this.operationMultipliers,
+      fieldBreakdown ? fieldBreakdown.children : undefined,
+      field.isConnection
+        ? getConnectionSize(
+          fieldArgs,
+          plan.defaultConnectionSize,
+          costArgs,
+          this.options.combiners
+        )
+        : undefined
+    )
+    this.currentDepth = depth - 1
+
+    // the children of a subscription field are the payload of its
+    // events, charged for each expected event
+    if (depth === 1 && field.isSubscriptionField) {
+      const eventRate =
+        costArgs && typeof costArgs.eventRate === 'number'
+          ? costArgs.eventRate
+          : 1
+      const { subscriptionCost } = this
+      this.subscriptionCost = {
+        setupCost:
+          (subscriptionCost ? subscriptionCost.setupCost : 0) +
+          Math.max(nodeCost, 0),
+        eventCost:
+          (subscriptionCost ? subscriptionCost.eventCost : 0) +
+          Math.max(childCost, 0),
+        eventRate
+      }
+      childCost = childCost * eventRate
+    }
+    nodeCost += childCost
+
+    if (breakdown && fieldBreakdown) {
+      fieldBreakdown.subtotal = Math.max(nodeCost, 0)
+      const subtotalFixedCost = this.fixedCost - fixedCost
+      breakdownParts.set(fieldBreakdown, {
+        fixedCost: fieldFixedCost,
+        scaledCost: fieldCost - fieldFixedCost,
+        fixedSubtotal: subtotalFixedCost,
+        scaledSubtotal: nodeCost - subtotalFixedCost,
+        useMultipliers: !!costArgs && costArgs.useMultipliers !== false
+      })
+      if (!addToBreakdown(breakdown, field.responseName, fieldBreakdown)) {
+        this.scalableCost = false
+      }
+    }
+    return nodeCost
+  }
+
+  // the cost of a fragment only depends on its connection size and on the
+  // product of its parent multipliers. It is computed once without parent
+  // multipliers, then its scaled part, and the one of its breakdown, are
+  // multiplied by them for each spread, so that fragments spread many times
+  // don't make the analysis exponential. The fragments which aren't
+  // scalable are computed once for each product of parent multipliers.
+  computeFragmentSpreadCost (
+    spread: CostPlanSelection,
+    parentMultipliers: Array<number>,
+    breakdown?: { [responseName: string]: CostBreakdown },
+    connectionSize?: ?number
+  ): number {
+    if (spread.kind !== 'fragmentSpread') {
+      return this.chargeFixedCost(this.defaultCost)
+    }
+    const { name } = spread
+    if (!this.plan.fragments[name]) {
+      return this.chargeFixedCost(this.defaultCost)
+    }
+
+    // a fragment spreading itself can't be costed, the NoFragmentCycles
+    // rule may run after this one
+    if (this.visitingFragments.has(name)) {
+      if (!this.cyclicFragments.has(name)) {
+        this.cyclicFragments.add(name)
+        this.reportError(
+          new GraphQLError(
+            `Cannot compute the cost of the fragment "${name}" ` +
+              `spreading itself`,
+            this.getNodes(spread)
+          )
+        )
+      }
+      return 0
+    }
+
+    const product = parentMultipliers.reduce(
+      (acc, multiplier) => acc * multiplier,
+      1
+    )
+    if (this.currentDepth > 0) {
+      const fragmentCost = this.getFragmentCost(
+        `${name}(${String(connectionSize)})`,
+        name,
+        [],
+        breakdown,
+        connectionSize
+      )
+      if (fragmentCost.scalable) {
+        this.mergeFragmentCost(
+          fragmentCost,
+          parentMultipliers,
+          product,
+          breakdown
+        )
+        const { cost, fixedCost } = fragmentCost
+        return parentMultipliers.reduce(
+          (acc, multiplier) => acc * multiplier,
+          cost - fixedCost
+        ) + fixedCost
+      }
+    }
+
+    const fragmentCost = this.getFragmentCost(
+      `${name}(${product},${String(connectionSize)})`,
+      name,
+      parentMultipliers,
+      breakdown,
+      connectionSize
+    )
+    this.mergeFragmentCost(fragmentCost, parentMultipliers, 1, breakdown)
+    return fragmentCost.cost
+  }
+
+  getFragmentCost (
+    key: string,
+    name: string,
+    parentMultipliers: Array<number>,
+    breakdown?: { [responseName: string]: CostBreakdown },
+    connectionSize?: ?number
+  ): FragmentCost {
+    const cachedCost = this.fragmentCosts[key]
+    if (cachedCost) {
+      return cachedCost
+    }
+
+    const fragment = this.plan.fragments[name]
+    const { metrics, currentDepth, fixedCost, scalableCost } = this
+    this.metrics = { depth: 0, nodes: 0, typeNodes: {} }
+    this.currentDepth = 0
+    this.fixedCost = 0
+    this.scalableCost = true
+    this.visitingFragments.add(name)
+
+    const fragmentBreakdown = {}
+    const cost = this.computeSelectionsCost(
+      fragment.selections,
+      fragment.typeCondition,
+      parentMultipliers,
+      breakdown ? fragmentBreakdown : undefined,
+      connectionSize
+    )
+    const fragmentCost = {
+      cost,
+      fixedCost: this.fixedCost,
+      scalable: this.scalableCost,
+      multipliers: this.operationMultipliers.slice(parentMultipliers.length),
+      parentMultipliers,
+      breakdown: fragmentBreakdown,
+      metrics: this.metrics
+    }
+
+    this.visitingFragments.delete(name)
+    this.metrics = metrics
+    this.currentDepth = currentDepth
+    this.fixedCost = fixedCost
+    this.scalableCost = scalableCost
+    // the cost of a fragment part of a cycle is incomplete, and the
+    // subscription costs are recorded by the root fields
+    if (!this.cyclicFragments.size && currentDepth > 0) {
+      this.fragmentCosts[key] = fragmentCost
+    }
+    return fragmentCost
+  }
+
+  // the scaled parts of the breakdown of a fragment are multiplied by
+  // factor for its spread. The breakdown has a node for each field of the
+  // expanded fragment, so it isn't merged when the fragment has more nodes
+  // than the maximum: its operation is rejected anyway.
+  mergeFragmentCost (
+    fragmentCost: FragmentCost,
+    parentMultipliers: Array<number>,
+    factor: number,
+    breakdown?: { [responseName: string]: CostBreakdown }
+  ) {
+    const { metrics } = this
+    const { typeNodes } = fragmentCost.metrics
+    metrics.depth = Math.max(
+      metrics.depth,
+      this.currentDepth + fragmentCost.metrics.depth
+    )
+    metrics.nodes += fragmentCost.metrics.nodes
+    Object.keys(typeNodes).forEach(typeName => {
+      metrics.typeNodes[typeName] =
+        (metrics.typeNodes[typeName] || 0) + typeNodes[typeName]
+    })
+    this.fixedCost += fragmentCost.fixedCost
+    if (!fragmentCost.scalable) {
+      this.scalableCost = false
+    }
+    this.operationMultipliers = [
+      ...parentMultipliers,
+      ...fragmentCost.multipliers
+    ]
+    const { maximumNodes } = this.options
+    if (
+      breakdown &&
+      !(
+        typeof maximumNodes === 'number' &&
+        fragmentCost.metrics.nodes > maximumNodes
+      )
+    ) {
+      const fragmentBreakdown = scaleBreakdown(
+        fragmentCost.breakdown,
+        fragmentCost.parentMultipliers,
+        parentMultipliers,
+        factor
+      )
+      for (const responseName of Object.keys(fragmentBreakdown)) {
+        const fieldBreakdown = fragmentBreakdown[responseName]
+        if (!addToBreakdown(breakdown, responseName, fieldBreakdown)) {
+          this.scalableCost = false
+        }
+      }
+    }
+  }
+
+  // returns the maximum and the actual values of an exceeded limit
+  getLimitValues (
+    operationName: string,
+    limit: CostLimit,
+    typeName?: string
+  ): [number, number] {
+    const metrics = this.operationMetrics[operationName]
+    const { maximumDepth, maximumNodes, maximumTypeNodes } = this.options
+    switch (limit) {
+      case 'depth':
+        return [Number(maximumDepth), metrics.depth]
+      case 'nodes':
+        return [Number(maximumNodes), metrics.nodes]
+      case 'typeNodes': {
+        const name = String(typeName)
+        return [
+          Number(maximumTypeNodes && maximumTypeNodes[name]),
+          metrics.typeNodes[name] || 0
+        ]
+      }
+      default:
+        return [
+          this.getOperationMaximumCost(operationName),
+          this.operationCosts[operationName]
+        ]
+    }
+  }
+
+  createError (
+    operationName: string,
+    limit: CostLimit = 'cost',
+    typeName?: string
+  ): GraphQLError {
+    const operationType = this.operationTypes[operationName]
+    const [maximum, actual] = this.getLimitValues(
+      operationName,
+      limit,
+      typeName
+    )
+    if (typeof this.options.createError === 'function') {
+      return this.options.createError(maximum, actual, {
+        operationName,
+        operationType,
+        limit,
+        ...(typeName ? { typeName } : {})
+      })
+    }
+    return new GraphQLError(
+      limitMessage(maximum, actual, operationType, limit, typeName),
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+      this.options.breakdown && this.options.breakdownInError
+        ? { costBreakdown: this.getBreakdown(operationName) }
+        : undefined
+    )
+  }
 }
 
-export default class CostAnalysis {
+// compiles the operations of the validated document to cost plans, and
+// evaluates them with the variables of the request
+export default class CostAnalysis extends CostEvaluator<CostAnalysisOptions> {
   context: ValidationContext
-  cost: number
-  options: CostAnalysisOptions
-  fragments: { [name: string]: FragmentDefinitionNode }
+  costPrecedence: Array<CostSource>
+  pendingCosts: ?{ [key: string]: Promise<number> }
+  keepVariables: boolean
+  astNodes: WeakMap<CostPlanSelection | CostPlanOperation, ASTNode>
+  pendingFragments: Array<() => void>
   OperationDefinition: Object
-  operationMultipliers: Array<number>
-  defaultCost: number
-  defaultComplexity: number
+  Document: Object
 
   constructor (context: ValidationContext, options: CostAnalysisOptions) {
-    assert(
-      typeof options.maximumCost === 'number' && options.maximumCost > 0,
-      'Maximum query cost must be a positive number'
-    )
+    const { maximumCost } = options
+    if (maximumCost && typeof maximumCost === 'object') {
+      Object.keys(maximumCost).forEach(operationType => {
+        assert(
+          ['query', 'mutation', 'subscription'].includes(operationType),
+          `Unknown operation type ${operationType} in maximum query cost`
+        )
+        assert(
+          typeof maximumCost[operationType] === 'number' &&
+            maximumCost[operationType] > 0,
+          `Maximum ${operationType} cost must be a positive number`
+        )
+      })
+    } else {
+      assert(
+        typeof maximumCost === 'number' && maximumCost > 0,
+        'Maximum query cost must be a positive number'
+      )
+    }
+
+    if (options.maximumDepth !== undefined) {
+      assertPositiveNumber(
+        options.maximumDepth,
+        'Maximum query depth must be a positive number'
+      )
+    }
+    if (options.maximumNodes !== undefined) {
+      assertPositiveNumber(
+        options.maximumNodes,
+        'Maximum number of nodes must be a positive number'
+      )
+    }
+    const { maximumTypeNodes } = options
+    if (maximumTypeNodes) {
+      Object.keys(maximumTypeNodes).forEach(typeName => {
+        assertPositiveNumber(
+          maximumTypeNodes[typeName],
+          `Maximum number of ${typeName} nodes must be a positive number`
+        )
+      })
+    }
 
     if (options.complexityRange) {
       assert(
@@ -78,173 +1875,181 @@ export default class CostAnalysis {
       )
     }
 
+    if (options.rounding) {
+      assert(
+        ['ceil', 'floor', 'none'].includes(options.rounding),
+        `Unknown cost rounding ${String(options.rounding)}`
+      )
+    }
+
+    if (options.costPrecedence) {
+      options.costPrecedence.forEach(source => {
+        assert(
+          COST_SOURCES.includes(source),
+          `Unknown cost source ${source} in cost precedence`
+        )
+      })
+    }
+
+    super(createCostPlan(options), options, error => {
+      context.reportError(error)
+    })
     this.context = context
-    this.cost = 0
-    this.options = options
-    this.operationMultipliers = []
-    this.defaultCost = this.options.defaultCost || 0
-    this.defaultComplexity =
-      (this.options.complexityRange && this.options.complexityRange.min) || 1
+    // without a costPrecedence option, cost directives are ignored when
+    // a costMap is provided
+    this.costPrecedence =
+      this.options.costPrecedence ||
+      (this.options.costMap && typeof this.options.costMap === 'object'
+        ? ['costMap', 'typeCostMap']
+        : ['fieldDirective', 'typeDirective'])
+
+    // only set when collecting the promises returned by the cost functions,
+    // see resolveCostFunctions
+    this.pendingCosts = undefined
+
+    // only set when compiling a plan evaluated with the variables of each
+    // request, see compileCostPlan. The arguments are coerced with the
+    // variables of the request otherwise.
+    this.keepVariables = false
+    this.astNodes = new WeakMap()
+    this.pendingFragments = []
 
     this.OperationDefinition = {
       enter: this.onOperationDefinitionEnter,
       leave: this.onOperationDefinitionLeave
     }
+
+    this.Document = {
+      leave: this.onDocumentLeave
+    }
+  }
+
+  // only the operation matching the operationName option is costed,
+  // every operation of the document is costed on its own otherwise
+  isOperationSelected (operation: OperationDefinitionNode): boolean {
+    return (
+      !this.options.operationName ||
+      (!!operation.name && operation.name.value === this.options.operationName)
+    )
   }
 
   onOperationDefinitionEnter (operation: OperationDefinitionNode) {
-    switch (operation.operation) {
-      case 'query':
-        this.cost += this.computeNodeCost(
-          operation,
-          this.context.getSchema().getQueryType()
-        )
-        break
-      case 'mutation':
-        this.cost += this.computeNodeCost(
-          operation,
-          this.context.getSchema().getMutationType()
-        )
-        break
-      case 'subscription':
-        this.cost += this.computeNodeCost(
-          operation,
-          this.context.getSchema().getSubscriptionType()
-        )
-        break
-      default:
-        throw new Error(
-          `Query Cost could not be calculated for operation of type ${
-            operation.operation
-          }`
-        )
+    if (!this.isOperationSelected(operation)) {
+      return
     }
+    this.evaluateOperation(this.compileOperation(operation))
   }
 
-  onOperationDefinitionLeave (): ?GraphQLError {
-    if (this.options.onComplete) {
-      this.options.onComplete(this.cost)
+  onOperationDefinitionLeave (operation: OperationDefinitionNode) {
+    if (!this.isOperationSelected(operation)) {
+      return
     }
+    this.checkLimits(getOperationName(operation))
+  }
 
-    if (this.cost > this.options.maximumCost) {
-      return this.context.reportError(this.createError())
+  onDocumentLeave () {
+    const { onComplete } = this.options
+    if (onComplete) {
+      onComplete(this.cost, this.getResult())
     }
   }
 
-  computeCost ({
-    multiplier,
-    useMultipliers = true,
-    complexity = this.defaultComplexity,
-    multipliers = []
-  }: NodeCostConfiguration = {}): number {
-    if (typeof arguments[0] !== 'object') {
-      return this.defaultCost
-    }
+  getNodes (
+    value: CostPlanSelection | CostPlanOperation
+  ): Array<ASTNode> | void {
+    const node = this.astNodes.get(value)
+    return node ? [node] : undefined
+  }
 
-    // multiplier is deprecated
-    if (multiplier) {
-      multipliers = multipliers.length ? multipliers : [multiplier]
-      process.env.NODE_ENV !== 'production' &&
-        console.warn(
-          `The multiplier property is DEPRECATED and will be removed in the next release. \n` +
-            `Please use the multipliers field instead.`
-        )
+  // the cost functions of the analysis also receive the nodes and the
+  // types of the field. The promises they return are collected by the
+  // asynchronous cost analysis.
+  callCostFunction (
+    costFunction: Function,
+    costFn: string,
+    field: CostPlanField,
+    fieldArgs: { [argument: string]: mixed },
+    key: string
+  ): mixed {
+    if (this.pendingCosts && this.pendingCosts[key]) {
+      return
     }
 
+    const schema = this.context.getSchema()
+    const parentType = schema.getType(field.parentTypeName)
     if (
-      this.options.complexityRange &&
-      (complexity > this.options.complexityRange.max ||
-        complexity < this.options.complexityRange.min)
+      !(parentType instanceof GraphQLObjectType) &&
+      !(parentType instanceof GraphQLInterfaceType)
     ) {
-      this.context.reportError(
-        new GraphQLError(
-          `The complexity argument must be between ` +
-            `${this.options.complexityRange.min} and ${
-              this.options.complexityRange.max
-            }`
-        )
-      )
-      return this.defaultCost
+      return
     }
-
-    if (useMultipliers) {
-      if (multipliers.length) {
-        const multiplier = multipliers.reduce(
-          (total, current) => total + current,
-          0
+    const node = this.astNodes.get(field)
+    const complexity = costFunction(fieldArgs, this.options.context, {
+      fieldName: field.fieldName,
+      fieldNodes: node && node.kind === Kind.FIELD ? [node] : [],
+      returnType: parentType.getFields()[field.fieldName].type,
+      parentType,
+      schema,
+      variableValues: this.options.variables || {}
+    })
+    if (complexity && typeof complexity.then === 'function') {
+      const { pendingCosts } = this
+      if (!pendingCosts) {
+        throw new Error(
+          `The cost function ${costFn} returned a promise, ` +
+            `use the asynchronous cost analysis`
         )
-        this.operationMultipliers = [...this.operationMultipliers, multiplier]
       }
-      return this.operationMultipliers.reduce(
-        (acc, multiplier) => acc * multiplier,
-        complexity
-      )
+      pendingCosts[key] = Promise.resolve(complexity)
+      return
     }
     return complexity
   }
 
-  getArgsFromCostMap (
-    node: FieldNode,
-    parentType: string,
-    fieldArgs: { [argument: string]: mixed }
-  ) {
+  getCostMapSettings (
+    fieldName: string,
+    parentType: string
+  ): ?FieldCostSettings {
     const costObject =
       this.options.costMap &&
       this.options.costMap[parentType] &&
-      this.options.costMap[parentType][node.name.value]
+      this.options.costMap[parentType][fieldName]
 
     if (!costObject) {
       return
     }
 
-    let { useMultipliers, multiplier, complexity, multipliers } = costObject
-    multiplier = multiplier && selectn(multiplier, fieldArgs)
-    multipliers = this.getMultipliersFromString(multipliers, fieldArgs)
-
+    const {
+      useMultipliers,
+      multiplier,
+      complexity,
+      multipliers,
+      conditions,
+      assumedSize,
+      combiner,
+      maxMultiplier,
+      costFn,
+      eventRate,
+      weight
+    } = costObject
     return {
       useMultipliers,
       multiplier,
       complexity,
-      multipliers
+      multipliers,
+      conditions,
+      assumedSize,
+      combiner,
+      maxMultiplier,
+      costFn,
+      eventRate,
+      weight
     }
   }
 
-  getMultipliersFromListNode (
-    listNode: $ReadOnlyArray<ValueNode>,
-    fieldArgs: { [argument: string]: mixed }
-  ) {
-    const multipliers = []
-    listNode.forEach(node => {
-      if (node.kind === Kind.STRING) {
-        multipliers.push(node.value)
-      }
-    })
-
-    return this.getMultipliersFromString(multipliers, fieldArgs)
-  }
-
-  getMultipliersFromString (
-    multipliers: Array<string> = [],
-    fieldArgs: { [argument: string]: mixed }
-  ): Array<number> {
-    // get arguments values, convert to integer and delete 0 values from list
-    return multipliers
-      .map(multiplier => {
-        const value = selectn(multiplier, fieldArgs)
-
-        // if the argument is an array, the multiplier will be the length of it
-        if (Array.isArray(value)) {
-          return value.length
-        }
-        return Number(value) || 0
-      })
-      .filter(multiplier => multiplier !== 0)
-  }
-
-  getArgsFromDirectives (
-    directives: $ReadOnlyArray<DirectiveNode>,
-    fieldArgs: { [argument: string]: mixed }
-  ) {
+  getDirectiveSettings (
+    directives: $ReadOnlyArray<DirectiveNode>
+  ): ?FieldCostSettings {
     const costDirective = directives.find(
       directive => directive.name.value === 'cost'
     )
@@ -265,6 +2070,34 @@ export default class CostAnalysis {
         costDirective.arguments &&
         costDirective.arguments.find(arg => arg.name.value === 'multipliers')
 
+      const assumedSizeArg =
+        costDirective.arguments &&
+        costDirective.arguments.find(arg => arg.name.value === 'assumedSize')
+
+      const combinerArg =
+        costDirective.arguments &&
+        costDirective.arguments.find(arg => arg.name.value === 'combiner')
+
+      const maxMultiplierArg =
+        costDirective.arguments &&
+        costDirective.arguments.find(arg => arg.name.value === 'maxMultiplier')
+
+      const costFnArg =
+        costDirective.arguments &&
+        costDirective.arguments.find(arg => arg.name.value === 'costFn')
+
+      const eventRateArg =
+        costDirective.arguments &&
+        costDirective.arguments.find(arg => arg.name.value === 'eventRate')
+
+      const conditionsArg =
+        costDirective.arguments &&
+        costDirective.arguments.find(arg => arg.name.value === 'conditions')
+
+      const weightArg =
+        costDirective.arguments &&
+        costDirective.arguments.find(arg => arg.name.value === 'weight')
+
       // get arguments's values
       const useMultipliers =
         useMultipliersArg &&
@@ -273,46 +2106,352 @@ export default class CostAnalysis {
           ? useMultipliersArg.value.value
           : true
 
-      const multipliers: Array<number> =
+      const multipliers: Array<string> = []
+      if (
         multipliersArg &&
         multipliersArg.value &&
         multipliersArg.value.kind === Kind.LIST
-          ? this.getMultipliersFromListNode(
-            multipliersArg.value.values,
-            fieldArgs
-          )
-          : []
+      ) {
+        multipliersArg.value.values.forEach(node => {
+          if (node.kind === Kind.STRING) {
+            multipliers.push(node.value)
+          }
+        })
+      }
 
-      const multiplier: ?number =
+      const multiplier: ?string =
         multiplierArg && multiplierArg.value.value
-          ? Number(selectn(multiplierArg.value.value, fieldArgs))
+          ? String(multiplierArg.value.value)
+          : undefined
+
+      const conditions =
+        conditionsArg &&
+        conditionsArg.value &&
+        conditionsArg.value.kind === Kind.LIST
+          ? valueFromASTUntyped(conditionsArg.value)
           : undefined
 
       const complexity =
-        complexityArg &&
-        complexityArg.value &&
-        complexityArg.value.kind === Kind.INT
+        complexityArg && isNumberValue(complexityArg.value)
           ? Number(complexityArg.value.value)
           : this.defaultComplexity
 
+      const assumedSize =
+        assumedSizeArg &&
+        assumedSizeArg.value &&
+        assumedSizeArg.value.kind === Kind.INT
+          ? Number(assumedSizeArg.value.value)
+          : undefined
+
+      const combiner =
+        combinerArg &&
+        combinerArg.value &&
+        combinerArg.value.kind === Kind.STRING
+          ? combinerArg.value.value
+          : undefined
+
+      const maxMultiplier =
+        maxMultiplierArg &&
+        maxMultiplierArg.value &&
+        maxMultiplierArg.value.kind === Kind.INT
+          ? Number(maxMultiplierArg.value.value)
+          : undefined
+
+      const costFn =
+        costFnArg && costFnArg.value && costFnArg.value.kind === Kind.STRING
+          ? costFnArg.value.value
+          : undefined
+
+      const eventRate =
+        eventRateArg && isNumberValue(eventRateArg.value)
+          ? Number(eventRateArg.value.value)
+          : undefined
+
+      const weight =
+        weightArg && isNumberValue(weightArg.value)
+          ? Number(weightArg.value.value)
+          : undefined
+
       return {
         complexity,
         multiplier,
         multipliers,
-        useMultipliers
+        conditions,
+        useMultipliers,
+        assumedSize,
+        combiner,
+        maxMultiplier,
+        costFn,
+        eventRate,
+        weight
+      }
+    }
+  }
+
+  // returns the candidate cost settings of the first cost source defining
+  // some for the field, in the order of the costPrecedence option. There
+  // are several candidates when they are read from the possible types of
+  // an abstract type, and none when no source defines cost settings.
+  getFieldCostSettings (
+    fieldName: string,
+    field: Object,
+    parentType: ?GraphQLNamedType
+  ): Array<FieldCostSettings> {
+    const fieldType = getNamedType(field.type)
+
+    for (const source of this.costPrecedence) {
+      let candidates = []
+      switch (source) {
+        case 'costMap': {
+          const settings =
+            parentType && parentType.name
+              ? this.getCostMapSettings(fieldName, parentType.name)
+              : undefined
+          candidates = settings ? [settings] : []
+          break
+        }
+        case 'typeCostMap':
+          candidates = this.getTypeCostSettings(fieldType, type =>
+            this.getCostMapSettings(TYPE_COST_KEY, type.name)
+          )
+          break
+        case 'fieldDirective': {
+          const settings =
+            field.astNode && field.astNode.directives
+              ? this.getDirectiveSettings(field.astNode.directives)
+              : undefined
+          candidates = settings ? [settings] : []
+          break
+        }
+        case 'typeDirective':
+          candidates = this.getTypeCostSettings(
+            fieldType,
+            type =>
+              type.astNode && type.astNode.directives
+                ? this.getDirectiveSettings(type.astNode.directives)
+                : undefined
+          )
+          break
+      }
+
+      if (candidates.length) {
+        return candidates
+      }
+    }
+    return []
+  }
+
+  // an interface or union type without cost settings costs as much as the
+  // most complex of its possible types
+  getTypeCostSettings (
+    type: ?GraphQLNamedType,
+    getSettings: (type: Object) => ?FieldCostSettings
+  ): Array<FieldCostSettings> {
+    if (
+      !(type instanceof GraphQLObjectType) &&
+      !(type instanceof GraphQLInterfaceType) &&
+      !(type instanceof GraphQLUnionType)
+    ) {
+      return []
+    }
+
+    const settings = getSettings(type)
+    if (settings || type instanceof GraphQLObjectType) {
+      return settings ? [settings] : []
+    }
+
+    const candidates = []
+    for (const possibleType of this.context.getSchema().getPossibleTypes(type)) {
+      const possibleTypeSettings = getSettings(possibleType)
+      if (possibleTypeSettings) {
+        candidates.push(possibleTypeSettings)
       }
     }
+    return candidates
   }
 
-  computeNodeCost (
-    node: NodeType,
-    typeDef: ?GraphQLNamedType,
-    parentMultipliers: Array<number> = []
+  // the complexity of an input object type, or of one of its input fields,
+  // read from the cost sources of the costPrecedence option
+  getInputComplexity (
+    type: GraphQLInputObjectType,
+    field?: GraphQLInputField
   ): number {
-    if (!node.selectionSet) {
-      return 0
+    const sources = field
+      ? ['costMap', 'fieldDirective']
+      : ['typeCostMap', 'typeDirective']
+    for (const source of this.costPrecedence) {
+      if (!sources.includes(source)) {
+        continue
+      }
+      const astNode = field ? field.astNode : type.astNode
+      const settings =
+        source === 'costMap' || source === 'typeCostMap'
+          ? this.getCostMapSettings(field ? field.name : TYPE_COST_KEY, type.name)
+          : astNode && astNode.directives
+            ? this.getDirectiveSettings(astNode.directives)
+            : undefined
+      if (settings) {
+        const costArgs = resolveCostSettings(settings, {})
+        return (
+          (typeof costArgs.complexity === 'number'
+            ? costArgs.complexity
+            : this.defaultComplexity) * getWeight(costArgs.weight)
+        )
+      }
+    }
+    return 0
+  }
+
+  isConnectionType (type: ?GraphQLNamedType): boolean {
+    return (
+      !!this.options.connections &&
+      type instanceof GraphQLObjectType &&
+      type.name.endsWith('Connection')
+    )
+  }
+
+  // the names of the runtime types a selection set or a fragment applies to
+  getPossibleTypeNames (type: ?GraphQLNamedType): ?Array<string> {
+    if (type && isAbstractType(type)) {
+      return this.context
+        .getSchema()
+        .getPossibleTypes(type)
+        .map(({ name }) => name)
+    }
+    return type ? [type.name] : undefined
+  }
+
+  // the possible types of the abstract types are recorded to combine the
+  // costs of the fragments
+  getTypeName (type: ?GraphQLNamedType): ?string {
+    if (!type) {
+      return
+    }
+    if (isAbstractType(type) && !this.plan.possibleTypes[type.name]) {
+      this.plan.possibleTypes[type.name] =
+        this.getPossibleTypeNames(type) || []
+    }
+    return type.name
+  }
+
+  compileConditions (node: SelectionNode): CostPlanConditions {
+    const conditions = {}
+    if (!this.keepVariables) {
+      const variables = this.options.variables || {}
+      try {
+        const skip = getDirectiveValues(GraphQLSkipDirective, node, variables)
+        if (skip) {
+          conditions.skip = { kind: 'value', value: skip.if }
+        }
+        const include = getDirectiveValues(
+          GraphQLIncludeDirective,
+          node,
+          variables
+        )
+        if (include) {
+          conditions.include = { kind: 'value', value: include.if }
+        }
+      } catch (e) {
+        this.context.reportError(e)
+        return {}
+      }
+      return conditions
+    }
+
+    ;(node.directives || []).forEach(directive => {
+      const name = directive.name.value
+      if (name !== 'skip' && name !== 'include') {
+        return
+      }
+      const ifArg = (directive.arguments || []).find(
+        arg => arg.name.value === 'if'
+      )
+      conditions[name] = ifArg
+        ? compileValue(ifArg.value, new GraphQLNonNull(GraphQLBoolean))
+        : { kind: 'value', value: undefined }
+    })
+    return conditions
+  }
+
+  compileArgs (
+    field: Object,
+    node: FieldNode
+  ): { [argument: string]: CostPlanValue } {
+    const values = {}
+    if (!this.keepVariables) {
+      let fieldArgs = {}
+      try {
+        fieldArgs = getArgumentValues(
+          field,
+          node,
+          this.options.variables || {}
+        )
+      } catch (e) {
+        this.context.reportError(e)
+      }
+      Object.keys(fieldArgs).forEach(name => {
+        values[name] = { kind: 'value', value: fieldArgs[name] }
+      })
+      return values
+    }
+
+    const argNodes = node.arguments || []
+    field.args.forEach((arg: GraphQLArgument) => {
+      const argNode = argNodes.find(node => node.name.value === arg.name)
+      if (!argNode) {
+        if (arg.defaultValue !== undefined) {
+          values[arg.name] = { kind: 'value', value: arg.defaultValue }
+        }
+        return
+      }
+      const value = compileValue(argNode.value, arg.type)
+      values[arg.name] =
+        value.kind === 'variable'
+          ? { ...value, defaultValue: arg.defaultValue }
+          : value
+    })
+    return values
+  }
+
+  // only the arguments containing input objects can have an input cost
+  compileInputType (type: GraphQLInputType): ?CostPlanInputType {
+    const nullableType = getNullableType(type)
+    if (nullableType instanceof GraphQLList) {
+      const itemType = this.compileInputType(nullableType.ofType)
+      return itemType ? { list: itemType } : undefined
+    }
+    if (!(nullableType instanceof GraphQLInputObjectType)) {
+      return
+    }
+
+    const { name } = nullableType
+    if (!this.plan.inputTypes[name]) {
+      const inputObject = {
+        complexity: this.getInputComplexity(nullableType),
+        fields: {}
+      }
+      // registered before its fields for the recursive input types
+      this.plan.inputTypes[name] = inputObject
+      const fields = nullableType.getFields()
+      Object.keys(fields).forEach(fieldName => {
+        const field = fields[fieldName]
+        const complexity = this.getInputComplexity(nullableType, field)
+        const fieldType = this.compileInputType(field.type)
+        if (complexity || fieldType) {
+          inputObject.fields[fieldName] = { complexity, type: fieldType }
+        }
+      })
     }
+    return name
+  }
 
+  compileSelections (
+    selectionSet: ?SelectionSetNode,
+    typeDef: ?GraphQLNamedType
+  ): Array<CostPlanSelection> {
+    if (!selectionSet) {
+      return []
+    }
     let fields = {}
     if (
       typeDef instanceof GraphQLObjectType ||
@@ -321,140 +2460,157 @@ export default class CostAnalysis {
       fields = typeDef.getFields()
     }
 
-    const selections: $ReadOnlyArray<SelectionNode> = node.selectionSet.selections
-    let total = 0
-    let fragmentCosts = []
-
-    for (const childNode of selections) {
-      // reset the operation multipliers with parentMultipliers for each childNode
-      // it resolves issue #14: https://github.com/pa-bru/graphql-cost-analysis/issues/14
-      this.operationMultipliers = [...parentMultipliers]
-      let nodeCost: number = this.defaultCost
-
-      switch (childNode.kind) {
-        case Kind.FIELD: {
-          const field: Object = fields[childNode.name.value]
-          // Invalid field, should be caught by other validation rules
-          if (!field) {
-            break
-          }
-          const fieldType = getNamedType(field.type)
-
-          // get field's arguments
-          let fieldArgs = {}
-          try {
-            fieldArgs = getArgumentValues(
-              field,
-              childNode,
-              this.options.variables || {}
-            )
-          } catch (e) {
-            this.context.reportError(e)
-          }
-
-          // it the costMap option is set, compute the cost with the costMap provided
-          // by the user.
-          if (
-            this.options.costMap &&
-            typeof this.options.costMap === 'object'
-          ) {
-            const costMapArgs =
-              typeDef && typeDef.name
-                ? this.getArgsFromCostMap(childNode, typeDef.name, fieldArgs)
-                : undefined
-            nodeCost = this.computeCost(costMapArgs)
-          } else {
-            // Compute cost of current field with its cost directive
-            let costIsComputed: boolean = false
-            if (field.astNode && field.astNode.directives) {
-              const directiveArgs = this.getArgsFromDirectives(
-                field.astNode.directives,
-                fieldArgs
-              )
-              nodeCost = this.computeCost(directiveArgs)
-
-              if (directiveArgs) {
-                costIsComputed = true
-              }
-            }
-
-            // if the cost directive is defined on the Type
-            // and the nodeCost has not already been computed
-            if (
-              fieldType &&
-              fieldType.astNode &&
-              fieldType.astNode.directives &&
-              fieldType instanceof GraphQLObjectType &&
-              costIsComputed === false
-            ) {
-              const directiveArgs = this.getArgsFromDirectives(
-                fieldType.astNode.directives,
-                fieldArgs
-              )
-              nodeCost = this.computeCost(directiveArgs)
-            }
-          }
+    return selectionSet.selections.map(node => {
+      const selection = this.compileSelection(node, fields, typeDef)
+      if (!this.keepVariables) {
+        this.astNodes.set(selection, node)
+      }
+      return selection
+    })
+  }
 
-          let childCost = 0
-          childCost = this.computeNodeCost(
-            childNode,
-            fieldType,
-            this.operationMultipliers
-          )
-          nodeCost += childCost
-          break
-        }
-        case Kind.FRAGMENT_SPREAD: {
-          const fragment = this.context.getFragment(childNode.name.value)
-          const fragmentType =
-            fragment &&
-            this.context
-              .getSchema()
-              .getType(fragment.typeCondition.name.value)
-          let fragmentNodeCost = fragment
-            ? this.computeNodeCost(fragment, fragmentType, this.operationMultipliers)
-            : this.defaultCost
-          fragmentCosts.push(fragmentNodeCost)
-          nodeCost = 0
-          break
+  compileSelection (
+    node: SelectionNode,
+    fields: Object,
+    typeDef: ?GraphQLNamedType
+  ): CostPlanSelection {
+    const conditions = this.compileConditions(node)
+    switch (node.kind) {
+      case Kind.FIELD: {
+        const field: Object = fields[node.name.value]
+        // Invalid field, should be caught by other validation rules
+        if (!field || !typeDef) {
+          return { kind: 'default', ...conditions }
         }
-        case Kind.INLINE_FRAGMENT: {
-          let inlineFragmentType = typeDef
-          if (childNode.typeCondition && childNode.typeCondition.name) {
-            inlineFragmentType = this.context
-              .getSchema()
-              // $FlowFixMe: don't know why Flow thinks it could be undefined
-              .getType(childNode.typeCondition.name.value)
+        const fieldType = getNamedType(field.type)
+        const inputs = {}
+        field.args.forEach(arg => {
+          const inputType = this.compileInputType(arg.type)
+          if (inputType) {
+            inputs[arg.name] = inputType
           }
-          let fragmentNodeCost = childNode
-            ? this.computeNodeCost(childNode, inlineFragmentType, this.operationMultipliers)
-            : this.defaultCost
-          fragmentCosts.push(fragmentNodeCost)
-          nodeCost = 0
-          break
+        })
+        return {
+          kind: 'field',
+          ...conditions,
+          fieldName: node.name.value,
+          responseName: node.alias ? node.alias.value : node.name.value,
+          parentTypeName: typeDef.name,
+          typeName: this.getTypeName(fieldType),
+          isList: getNullableType(field.type) instanceof GraphQLList,
+          isConnection: this.isConnectionType(fieldType),
+          isSubscriptionField:
+            typeDef === this.context.getSchema().getSubscriptionType(),
+          settings: this.getFieldCostSettings(node.name.value, field, typeDef),
+          args: this.compileArgs(field, node),
+          inputs,
+          selections: this.compileSelections(node.selectionSet, fieldType)
         }
-        default: {
-          nodeCost = this.computeNodeCost(childNode, typeDef)
-          break
+      }
+      case Kind.FRAGMENT_SPREAD: {
+        this.compileFragment(node.name.value)
+        return { kind: 'fragmentSpread', ...conditions, name: node.name.value }
+      }
+      default: {
+        const { typeCondition } = node
+        const inlineFragmentType = typeCondition
+          ? this.context.getSchema().getType(typeCondition.name.value)
+          : typeDef
+        return {
+          kind: 'inlineFragment',
+          ...conditions,
+          typeName: this.getTypeName(inlineFragmentType),
+          selections: this.compileSelections(
+            node.selectionSet,
+            inlineFragmentType
+          )
         }
       }
+    }
+  }
 
-      total = Math.max(nodeCost, 0) + total
+  // the fragments are compiled once, the spreads refer to them by name.
+  // Their selections are compiled after the ones of the operation, so
+  // that long chains of fragments don't nest the calls.
+  compileFragment (name: string) {
+    const fragment = this.context.getFragment(name)
+    if (!fragment || this.plan.fragments[name]) {
+      return
+    }
+    const type = this.context
+      .getSchema()
+      .getType(fragment.typeCondition.name.value)
+    const compiledFragment = {
+      typeCondition: this.getTypeName(type),
+      selections: []
     }
+    // registered before its selections for the fragments spreading
+    // themselves
+    this.plan.fragments[name] = compiledFragment
+    this.pendingFragments.push(() => {
+      compiledFragment.selections = this.compileSelections(
+        fragment.selectionSet,
+        type
+      )
+    })
+  }
 
-    if (!fragmentCosts.length) {
-      return total
+  compileBudget (
+    operation: OperationDefinitionNode
+  ): { budget?: CostPlanValue } {
+    const directive = (operation.directives || []).find(
+      directive => directive.name.value === costBudgetDirective.name
+    )
+    if (!directive) {
+      return {}
+    }
+
+    if (!this.keepVariables) {
+      try {
+        const values = getDirectiveValues(
+          costBudgetDirective,
+          operation,
+          this.options.variables || {}
+        )
+        return { budget: { kind: 'value', value: values && values.max } }
+      } catch (e) {
+        this.context.reportError(e)
+        return {}
+      }
     }
 
-    return total + Math.max(...fragmentCosts)
+    const maxArg = (directive.arguments || []).find(
+      arg => arg.name.value === 'max'
+    )
+    return {
+      budget: maxArg
+        ? compileValue(maxArg.value, new GraphQLNonNull(GraphQLInt))
+        : { kind: 'value', value: undefined }
+    }
   }
 
-  createError (): GraphQLError {
-    if (typeof this.options.createError === 'function') {
-      return this.options.createError(this.options.maximumCost, this.cost)
+  compileOperation (operation: OperationDefinitionNode): CostPlanOperation {
+    const schema = this.context.getSchema()
+    const rootTypes = {
+      query: schema.getQueryType(),
+      mutation: schema.getMutationType(),
+      subscription: schema.getSubscriptionType()
     }
-    return new GraphQLError(
-      costAnalysisMessage(this.options.maximumCost, this.cost)
-    )
+    const typeDef = rootTypes[operation.operation]
+    const compiledOperation = {
+      name: operation.name ? operation.name.value : undefined,
+      operationType: operation.operation,
+      typeName: this.getTypeName(typeDef),
+      ...this.compileBudget(operation),
+      selections: this.compileSelections(operation.selectionSet, typeDef)
+    }
+    let compileFragmentSelections
+    while ((compileFragmentSelections = this.pendingFragments.shift())) {
+      compileFragmentSelections()
+    }
+    if (!this.keepVariables) {
+      this.astNodes.set(compiledOperation, operation)
+    }
+    return compiledOperation
   }
 }
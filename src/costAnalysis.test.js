@@ -1,5 +1,7 @@
 import {
   parse,
+  validate,
+  specifiedRules,
   TypeInfo,
   ValidationContext,
   visit,
@@ -7,6 +9,10 @@ import {
 } from 'graphql'
 import { makeExecutableSchema } from 'graphql-tools'
 import CostAnalysis from './costAnalysis'
+import {
+  costDirectiveTypeDefs,
+  costBudgetDirectiveTypeDefs
+} from './costDirective'
 
 const customCost = 8
 const firstComplexity = 2
@@ -94,6 +100,18 @@ const resolvers = {
 
 const schema = makeExecutableSchema({ typeDefs, resolvers })
 
+// runs the cost analysis of a query on the schema of a group of tests
+const analyzeQuery = (querySchema, query, options) => {
+  const queryTypeInfo = new TypeInfo(querySchema)
+  const ast = typeof query === 'string' ? parse(query) : query
+  const context = new ValidationContext(querySchema, ast, queryTypeInfo)
+  const visitor = new CostAnalysis(context, options)
+  visit(ast, visitWithTypeInfo(queryTypeInfo, visitor))
+  return { visitor, context }
+}
+
+const getMessages = context => context.getErrors().map(error => error.message)
+
 describe('Cost analysis Tests', () => {
   const typeInfo = new TypeInfo(schema)
 
@@ -607,4 +625,1580 @@ describe('Cost analysis Tests', () => {
       expect(visitor.cost).toEqual(expectedCost)
     }
   )
+
+  test('should build a cost breakdown keyed by response path when the breakdown option is set', () => {
+    const limit = 10
+    const ast = parse(`
+      query {
+        first(limit: ${limit}) {
+          second(limit: ${limit}) {
+            third(limit: ${limit})
+          }
+          int
+        }
+        aliased: customCost
+      }
+    `)
+
+    const context = new ValidationContext(schema, ast, typeInfo)
+    const onComplete = jest.fn()
+    const visitor = new CostAnalysis(context, {
+      maximumCost: 10000,
+      breakdown: true,
+      onComplete
+    })
+
+    visit(ast, visitWithTypeInfo(typeInfo, visitor))
+
+    const firstCost = limit * firstComplexity
+    const secondCost = limit * limit * secondComplexity
+    const thirdCost = limit * limit * limit * thirdComplexity
+    const result = firstCost + secondCost + thirdCost + customCost
+
+    expect(onComplete).toHaveBeenCalledTimes(1)
+    const [cost, { breakdown }] = onComplete.mock.calls[0]
+    expect(cost).toEqual(result)
+    expect(breakdown.cost).toEqual(result)
+
+    const first = breakdown.children.first
+    expect(first.complexity).toEqual(firstComplexity)
+    expect(first.multipliers).toEqual([limit])
+    expect(first.cost).toEqual(firstCost)
+    expect(first.subtotal).toEqual(firstCost + secondCost + thirdCost)
+
+    const second = first.children.second
+    expect(second.multipliers).toEqual([limit, limit])
+    expect(second.subtotal).toEqual(secondCost + thirdCost)
+    expect(second.children.third.cost).toEqual(thirdCost)
+    expect(first.children.int.cost).toEqual(0)
+
+    expect(breakdown.children.aliased.cost).toEqual(customCost)
+    expect(breakdown.children.aliased.multipliers).toEqual([])
+  })
+
+  test('should record the weighted complexity of each field in the breakdown', () => {
+    const weightSchema = makeExecutableSchema({
+      typeDefs: [
+        costDirectiveTypeDefs,
+        `
+          type Query {
+            id: ID @cost(complexity: 0)
+            credits(limit: Int): [Int] @cost(
+              complexity: 4, weight: 0.5, multipliers: ["limit"]
+            )
+          }
+        `
+      ]
+    })
+    const { visitor } = analyzeQuery(weightSchema, `query { id credits(limit: 3) }`, {
+      maximumCost: 100,
+      breakdown: true
+    })
+
+    const { children } = visitor.getResult().breakdown
+    expect(children.id.complexity).toEqual(0)
+    expect(children.id.cost).toEqual(0)
+    expect(children.credits.complexity).toEqual(2)
+    expect(children.credits.cost).toEqual(2 * 3)
+  })
+
+  test('should attach the cost breakdown to the error extensions when breakdownInError is set', () => {
+    const ast = parse(`
+      query {
+        customCost
+      }
+    `)
+
+    const context = new ValidationContext(schema, ast, typeInfo)
+    const visitor = new CostAnalysis(context, {
+      maximumCost: 1,
+      breakdown: true,
+      breakdownInError: true
+    })
+
+    visit(ast, visitWithTypeInfo(typeInfo, visitor))
+
+    const [error] = context.getErrors()
+    expect(error.extensions.costBreakdown.cost).toEqual(customCost)
+    expect(error.extensions.costBreakdown.children.customCost.cost).toEqual(
+      customCost
+    )
+  })
+
+  test('should not build a cost breakdown by default', () => {
+    const ast = parse(`
+      query {
+        customCost
+      }
+    `)
+
+    const context = new ValidationContext(schema, ast, typeInfo)
+    const onComplete = jest.fn()
+    const visitor = new CostAnalysis(context, {
+      maximumCost: 1,
+      onComplete
+    })
+
+    visit(ast, visitWithTypeInfo(typeInfo, visitor))
+
+    expect(onComplete).toHaveBeenCalledWith(customCost, {
+      cost: customCost,
+      maximumCost: 1,
+      operations: { anonymous: customCost },
+      depth: 1,
+      nodes: 1,
+      typeNodes: { Int: 1 }
+    })
+    expect(context.getErrors()[0].extensions).toBeUndefined()
+  })
+
+  test('should cost each operation of a document separately', () => {
+    const ast = parse(`
+      query cheap {
+        customCost
+      }
+      query expensive {
+        customCost
+        getCostByType
+      }
+      query default {
+        defaultCost
+      }
+    `)
+
+    const context = new ValidationContext(schema, ast, typeInfo)
+    const onComplete = jest.fn()
+    const visitor = new CostAnalysis(context, {
+      maximumCost: customCost,
+      onComplete
+    })
+
+    visit(ast, visitWithTypeInfo(typeInfo, visitor))
+
+    const expensiveCost = customCost + 3
+    expect(visitor.cost).toEqual(expensiveCost)
+    expect(onComplete).toHaveBeenCalledTimes(1)
+    expect(onComplete).toHaveBeenCalledWith(expensiveCost, {
+      cost: expensiveCost,
+      maximumCost: customCost,
+      operations: {
+        cheap: customCost,
+        expensive: expensiveCost,
+        default: 0
+      },
+      depth: 1,
+      nodes: 2,
+      typeNodes: { Int: 1, TypeCost: 1 }
+    })
+    // only the expensive operation exceeds the maximum cost
+    expect(context.getErrors().length).toEqual(1)
+    expect(context.getErrors()[0].message).toEqual(
+      `The query exceeds the maximum cost of ${customCost}. Actual cost is ${expensiveCost}`
+    )
+  })
+
+  test('should only cost the operation matching the operationName option', () => {
+    const ast = parse(`
+      query cheap {
+        customCost
+      }
+      query expensive {
+        customCost
+        getCostByType
+      }
+    `)
+
+    const context = new ValidationContext(schema, ast, typeInfo)
+    const onComplete = jest.fn()
+    const visitor = new CostAnalysis(context, {
+      maximumCost: customCost,
+      operationName: 'cheap',
+      onComplete
+    })
+
+    visit(ast, visitWithTypeInfo(typeInfo, visitor))
+
+    expect(visitor.cost).toEqual(customCost)
+    expect(onComplete).toHaveBeenCalledWith(customCost, {
+      cost: customCost,
+      maximumCost: customCost,
+      operations: { cheap: customCost },
+      depth: 1,
+      nodes: 1,
+      typeNodes: { Int: 1 }
+    })
+    expect(context.getErrors().length).toEqual(0)
+  })
+
+  test('should accept a maximum cost for each operation type', () => {
+    const mutationSchema = makeExecutableSchema({
+      typeDefs: `
+        type Query {
+          read: Int @cost(complexity: 6)
+        }
+        type Mutation {
+          write: Int @cost(complexity: 6)
+        }
+      `
+    })
+    const { context } = analyzeQuery(
+      mutationSchema,
+      `
+        query read {
+          read
+        }
+        mutation write {
+          write
+        }
+      `,
+      { maximumCost: { query: 10, mutation: 5 } }
+    )
+
+    expect(context.getErrors().length).toEqual(1)
+    expect(context.getErrors()[0].message).toEqual(
+      `The mutation exceeds the maximum cost of 5. Actual cost is 6`
+    )
+  })
+
+  test('should pass the operation details to a custom createError', () => {
+    const ast = parse(`
+      query cheap {
+        customCost
+      }
+    `)
+
+    const context = new ValidationContext(schema, ast, typeInfo)
+    const createError = jest.fn(() => new Error('custom error'))
+    const visitor = new CostAnalysis(context, {
+      maximumCost: { query: 1 },
+      createError
+    })
+
+    visit(ast, visitWithTypeInfo(typeInfo, visitor))
+
+    expect(createError).toHaveBeenCalledWith(1, customCost, {
+      operationName: 'cheap',
+      operationType: 'query',
+      limit: 'cost'
+    })
+    expect(context.getErrors()[0].message).toEqual('custom error')
+  })
+
+  test('assert the maximum cost of each operation type is valid', () => {
+    const ast = parse(`
+      query {
+        customCost
+      }
+    `)
+    const context = new ValidationContext(schema, ast, typeInfo)
+
+    expect(
+      () => new CostAnalysis(context, { maximumCost: { query: 0 } })
+    ).toThrow('Maximum query cost must be a positive number')
+    expect(
+      () => new CostAnalysis(context, { maximumCost: { queries: 10 } })
+    ).toThrow('Unknown operation type queries in maximum query cost')
+  })
+
+  test('should merge the costMap and the cost directives with the costPrecedence option', () => {
+    const ast = parse(`
+      query {
+        customCost
+        overrideTypeCost
+        getCostByType
+      }
+    `)
+
+    const costMap = {
+      Query: {
+        customCost: { useMultipliers: false, complexity: 1 }
+      }
+    }
+
+    const costMapFirst = new ValidationContext(schema, ast, typeInfo)
+    const costMapFirstVisitor = new CostAnalysis(costMapFirst, {
+      maximumCost: 100,
+      costMap,
+      costPrecedence: ['costMap', 'fieldDirective', 'typeDirective']
+    })
+    visit(ast, visitWithTypeInfo(typeInfo, costMapFirstVisitor))
+    // customCost from the costMap, overrideTypeCost from its field directive
+    // and getCostByType from its type directive
+    expect(costMapFirstVisitor.cost).toEqual(1 + 2 + 3)
+
+    const directivesFirst = new ValidationContext(schema, ast, typeInfo)
+    const directivesFirstVisitor = new CostAnalysis(directivesFirst, {
+      maximumCost: 100,
+      costMap,
+      costPrecedence: ['fieldDirective', 'typeDirective', 'costMap']
+    })
+    visit(ast, visitWithTypeInfo(typeInfo, directivesFirstVisitor))
+    expect(directivesFirstVisitor.cost).toEqual(customCost + 2 + 3)
+  })
+
+  test('should only use the cost sources listed in the costPrecedence option', () => {
+    const ast = parse(`
+      query {
+        customCost
+        getCostByType
+      }
+    `)
+
+    const context = new ValidationContext(schema, ast, typeInfo)
+    const visitor = new CostAnalysis(context, {
+      maximumCost: 100,
+      costPrecedence: ['typeDirective']
+    })
+    visit(ast, visitWithTypeInfo(typeInfo, visitor))
+    expect(visitor.cost).toEqual(3)
+
+    expect(
+      () =>
+        new CostAnalysis(context, {
+          maximumCost: 100,
+          costPrecedence: ['directive']
+        })
+    ).toThrow('Unknown cost source directive in cost precedence')
+  })
+
+  describe('type-level costs of interfaces and unions', () => {
+    const abstractSchema = makeExecutableSchema({
+      typeDefs: `
+        interface Node @cost(complexity: 4) {
+          id: ID
+        }
+
+        type Image implements Node @cost(complexity: 5) {
+          id: ID
+        }
+
+        type Video implements Node @cost(complexity: 9) {
+          id: ID
+        }
+
+        union SearchResult @cost(complexity: 7) = Image | Video
+        union Media = Image | Video
+
+        type Query {
+          node: Node
+          search: [SearchResult]
+          media: Media
+          image: Image
+        }
+      `,
+      resolverValidationOptions: { requireResolversForResolveType: false }
+    })
+
+    const getCost = (query, options = {}) =>
+      analyzeQuery(abstractSchema, query, { maximumCost: 100, ...options })
+        .visitor.cost
+
+    test('should use the cost directive of an interface or a union', () => {
+      expect(getCost(`query { node { id } }`)).toEqual(4)
+      expect(getCost(`query { search { ... on Image { id } } }`)).toEqual(7)
+    })
+
+    test('should use the most complex possible type of an abstract type without cost', () => {
+      expect(getCost(`query { media { ... on Image { id } } }`)).toEqual(9)
+    })
+
+    test('should read type-level costs from the costMap', () => {
+      const costMap = {
+        Image: { __type: { complexity: 5 } },
+        Video: { __type: { complexity: 2 } },
+        SearchResult: { __type: { complexity: 3 } }
+      }
+      expect(getCost(`query { image { id } }`, { costMap })).toEqual(5)
+      expect(getCost(`query { search { ... on Image { id } } }`, { costMap })).toEqual(3)
+      expect(getCost(`query { media { ... on Video { id } } }`, { costMap })).toEqual(5)
+    })
+  })
+
+  describe('fragments on abstract types', () => {
+    const possibleTypesSchema = makeExecutableSchema({
+      typeDefs: `
+        interface Node {
+          id: ID @cost(complexity: 1)
+        }
+
+        type Image implements Node {
+          id: ID @cost(complexity: 1)
+          url: String @cost(complexity: 2)
+          thumbnail: String @cost(complexity: 3)
+        }
+
+        type Video implements Node {
+          id: ID @cost(complexity: 1)
+          stream: String @cost(complexity: 20)
+        }
+
+        union Media = Image | Video
+
+        type Query {
+          media: Media
+          node: Node
+          image: Image
+        }
+      `,
+      resolverValidationOptions: { requireResolversForResolveType: false }
+    })
+
+    const getCost = (query, options = {}) =>
+      analyzeQuery(possibleTypesSchema, query, { maximumCost: 100, ...options })
+        .visitor.cost
+
+    test('should add up the fragments applying to the same type', () => {
+      const query = `
+        query {
+          media {
+            ... on Image { url }
+            ... on Image { thumbnail }
+            ... on Video { stream }
+          }
+          image {
+            ... on Image { url }
+            ...thumbnail
+          }
+        }
+
+        fragment thumbnail on Image {
+          thumbnail
+        }
+      `
+
+      expect(getCost(query)).toEqual(20 + 2 + 3)
+      expect(getCost(query, { fragmentCostMode: 'max' })).toEqual(20 + 3)
+    })
+
+    test('should apply the fragments on an interface to its implementations', () => {
+      const query = `
+        query {
+          media {
+            ... on Node { id }
+            ... on Image { url thumbnail }
+          }
+        }
+      `
+
+      expect(getCost(query)).toEqual(1 + 2 + 3)
+      expect(getCost(query, { fragmentCostMode: 'max' })).toEqual(2 + 3)
+    })
+
+    test('should take the most expensive of the disjoint types', () => {
+      expect(
+        getCost(`
+          query {
+            node {
+              ... on Image { url thumbnail }
+              ... on Video { stream }
+            }
+          }
+        `)
+      ).toEqual(20)
+    })
+
+    test('should cost the fragments spread twice in a selection set once', () => {
+      const query = `
+        query($withUrl: Boolean!) {
+          image {
+            ...thumbnail
+            ...thumbnail
+            ... on Image { url }
+            ... on Image @include(if: $withUrl) { url }
+          }
+        }
+
+        fragment thumbnail on Image {
+          thumbnail
+        }
+      `
+
+      expect(getCost(query, { variables: { withUrl: true } })).toEqual(3 + 2)
+    })
+  })
+
+  describe('list size estimation', () => {
+    const listSchema = makeExecutableSchema({
+      typeDefs: `
+        type User {
+          name: String @cost(complexity: 1)
+          friends: [User!]!
+          posts(limit: Int): [Post] @cost(complexity: 2, multipliers: ["limit"], assumedSize: 5)
+        }
+
+        type Post {
+          title: String @cost(complexity: 1)
+        }
+
+        type Query {
+          users: [User] @cost(complexity: 3, assumedSize: 20)
+          friends: [User]
+        }
+      `
+    })
+
+    const getCost = (query, options = {}) =>
+      analyzeQuery(listSchema, query, { maximumCost: 100000, ...options })
+        .visitor.cost
+
+    test('should not estimate the size of lists by default', () => {
+      expect(getCost(`query { friends { friends { name } } }`)).toEqual(1)
+    })
+
+    test('should multiply list fields without multipliers by the defaultListSize', () => {
+      const defaultListSize = 10
+      expect(
+        getCost(`query { friends { friends { friends { name } } } }`, {
+          defaultListSize
+        })
+      ).toEqual(defaultListSize * defaultListSize * defaultListSize)
+    })
+
+    test('should multiply list fields by their assumedSize when no multiplier is present', () => {
+      const options = { defaultListSize: 10 }
+      // users is multiplied by its assumedSize
+      expect(getCost(`query { users { name } }`, options)).toEqual(3 * 20 + 20)
+      // the assumedSize of posts is only used without a limit argument
+      expect(getCost(`query { users { posts { title } } }`, options)).toEqual(
+        3 * 20 + 2 * 20 * 5 + 20 * 5
+      )
+      expect(
+        getCost(`query { users { posts(limit: 2) { title } } }`, options)
+      ).toEqual(3 * 20 + 2 * 20 * 2 + 20 * 2)
+    })
+  })
+
+  describe('Relay connections', () => {
+    const connectionSchema = makeExecutableSchema({
+      typeDefs: `
+        type PageInfo {
+          hasNextPage: Boolean @cost(complexity: 1)
+        }
+
+        type User {
+          name: String @cost(complexity: 1)
+        }
+
+        type UserEdge {
+          cursor: String
+          node: User @cost(complexity: 2)
+        }
+
+        type UserConnection {
+          edges: [UserEdge] @cost(complexity: 1)
+          nodes: [User]
+          pageInfo: PageInfo
+          totalCount: Int @cost(complexity: 3)
+        }
+
+        type Query {
+          users(first: Int, last: Int): UserConnection @cost(complexity: 5)
+          cappedUsers(first: Int, last: Int): UserConnection
+            @cost(complexity: 5, maxMultiplier: 100, combiner: "sum")
+        }
+      `
+    })
+
+    const getCost = (query, options = {}) =>
+      analyzeQuery(connectionSchema, query, { maximumCost: 100000, ...options })
+        .visitor.cost
+
+    test('should multiply edges and nodes by the highest of first and last', () => {
+      const query = `
+        query {
+          users(first: 10, last: 4) {
+            edges {
+              node {
+                name
+              }
+            }
+            nodes {
+              name
+            }
+            pageInfo {
+              hasNextPage
+            }
+            totalCount
+          }
+        }
+      `
+      const size = 10
+      const edgesCost = size * 1 + size * 2 + size * 1
+      const nodesCost = size * 1
+      expect(getCost(query, { connections: true })).toEqual(
+        5 + edgesCost + nodesCost + 1 + 3
+      )
+    })
+
+    test('should use the default size of the connections when first and last are missing', () => {
+      const query = `
+        query {
+          users {
+            ... on UserConnection {
+              nodes {
+                name
+              }
+            }
+            totalCount
+          }
+        }
+      `
+      expect(getCost(query, { connections: { defaultSize: 20 } })).toEqual(
+        5 + 20 + 3
+      )
+      expect(getCost(query, { connections: true })).toEqual(5 + 1 + 3)
+    })
+
+    test('should combine and cap the connection size with the cost settings', () => {
+      const options = { connections: { defaultSize: 200 } }
+
+      expect(
+        getCost(`query { cappedUsers(first: 1000000) { nodes { name } } }`, options)
+      ).toEqual(5 + 100)
+      expect(
+        getCost(`query { cappedUsers(first: 10, last: 20) { nodes { name } } }`, options)
+      ).toEqual(5 + 30)
+      expect(getCost(`query { cappedUsers { nodes { name } } }`, options)).toEqual(
+        5 + 100
+      )
+    })
+
+    test('should not detect connections by default', () => {
+      const query = `
+        query {
+          users(first: 10) {
+            nodes {
+              name
+            }
+          }
+        }
+      `
+      expect(getCost(query)).toEqual(5 + 1)
+    })
+  })
+
+  describe('multipliers combiners', () => {
+    const combinerSchema = makeExecutableSchema({
+      typeDefs: `
+        type Post {
+          title: String @cost(complexity: 1)
+        }
+
+        type Query {
+          sum(first: Int, last: Int): [Post] @cost(complexity: 2, multipliers: ["first", "last"])
+          max(first: Int, last: Int): [Post] @cost(
+            complexity: 2, multipliers: ["first", "last"], combiner: "max"
+          )
+          capped(limit: Int): [Post] @cost(complexity: 2, multipliers: ["limit"], maxMultiplier: 100)
+          custom(first: Int, last: Int): [Post] @cost(
+            complexity: 2, multipliers: ["first", "last"], combiner: "average"
+          )
+        }
+      `
+    })
+
+    const getCost = (query, options = {}) =>
+      analyzeQuery(combinerSchema, query, { maximumCost: 100000000, ...options })
+        .visitor.cost
+
+    test('should add up the multipliers by default', () => {
+      expect(getCost(`query { sum(first: 10, last: 10) { title } }`)).toEqual(
+        2 * 20 + 20
+      )
+    })
+
+    test('should combine the multipliers with the combiner of the field', () => {
+      expect(getCost(`query { max(first: 10, last: 10) { title } }`)).toEqual(
+        2 * 10 + 10
+      )
+      expect(
+        getCost(`query { custom(first: 10, last: 20) { title } }`, {
+          combiners: {
+            average: multipliers =>
+              multipliers.reduce((total, current) => total + current, 0) /
+              multipliers.length
+          }
+        })
+      ).toEqual(2 * 15 + 15)
+    })
+
+    test('should combine the multipliers of the costMap', () => {
+      const costMap = {
+        Query: {
+          sum: { complexity: 2, multipliers: ['first', 'last'], combiner: 'min' }
+        },
+        Post: {
+          title: { complexity: 1 }
+        }
+      }
+      expect(
+        getCost(`query { sum(first: 10, last: 5) { title } }`, { costMap })
+      ).toEqual(2 * 5 + 5)
+    })
+
+    test('should cap the multipliers with maxMultiplier', () => {
+      expect(getCost(`query { capped(limit: 1000000) { title } }`)).toEqual(
+        2 * 100 + 100
+      )
+      expect(getCost(`query { capped(limit: 10) { title } }`)).toEqual(
+        2 * 10 + 10
+      )
+    })
+
+    test('should report the unknown combiners and use the default cost', () => {
+      const { visitor, context } = analyzeQuery(
+        combinerSchema,
+        `query { custom(first: 10, last: 20) { title } }`,
+        { maximumCost: 1000, defaultCost: 3 }
+      )
+
+      expect(getMessages(context)).toEqual([
+        'Unknown multipliers combiner average'
+      ])
+      expect(visitor.cost).toEqual(3 + 1)
+    })
+  })
+
+  describe('depth and node limits', () => {
+    const limitSchema = makeExecutableSchema({
+      typeDefs: `
+        type User {
+          name: String
+          friends: [User]
+        }
+
+        type Query {
+          user: User
+          users: [User]
+        }
+      `
+    })
+
+    const analyze = (query, options = {}) => {
+      const onComplete = jest.fn()
+      const { context } = analyzeQuery(limitSchema, query, {
+        maximumCost: 1000,
+        onComplete,
+        ...options
+      })
+      return {
+        result: onComplete.mock.calls[0][1],
+        messages: getMessages(context)
+      }
+    }
+
+    const query = `
+      query {
+        user {
+          ...friends
+          friends {
+            friends {
+              name
+            }
+          }
+        }
+        users {
+          name
+        }
+      }
+
+      fragment friends on User {
+        friends {
+          name
+        }
+      }
+    `
+
+    test('should report the depth and the number of nodes', () => {
+      const { result, messages } = analyze(query)
+
+      expect(result.depth).toEqual(4)
+      expect(result.nodes).toEqual(8)
+      expect(result.typeNodes).toEqual({ User: 5, String: 3 })
+      expect(messages).toEqual([])
+    })
+
+    test('should reject the operations exceeding the limits', () => {
+      const { messages } = analyze(query, {
+        maximumDepth: 3,
+        maximumNodes: 5,
+        maximumTypeNodes: { User: 4, String: 3 }
+      })
+
+      expect(messages).toEqual([
+        'The query exceeds the maximum depth of 3. Actual depth is 4',
+        'The query exceeds the maximum number of nodes of 5. ' +
+          'Actual number of nodes is 8',
+        'The query exceeds the maximum number of User nodes of 4. ' +
+          'Actual number is 5'
+      ])
+    })
+
+    test('should pass the exceeded limit to a custom createError', () => {
+      const createError = jest.fn(() => new Error('custom error'))
+      analyze(query, {
+        maximumDepth: 3,
+        maximumTypeNodes: { User: 2 },
+        createError
+      })
+
+      expect(createError.mock.calls).toEqual([
+        [3, 4, { operationName: 'anonymous', operationType: 'query', limit: 'depth' }],
+        [
+          2,
+          5,
+          {
+            operationName: 'anonymous',
+            operationType: 'query',
+            limit: 'typeNodes',
+            typeName: 'User'
+          }
+        ]
+      ])
+    })
+
+    test('assert the limits are positive numbers', () => {
+      expect(() => analyze(query, { maximumDepth: 0 })).toThrow(
+        'Maximum query depth must be a positive number'
+      )
+      expect(() => analyze(query, { maximumTypeNodes: { User: -1 } })).toThrow(
+        'Maximum number of User nodes must be a positive number'
+      )
+    })
+  })
+
+  describe('fragments', () => {
+    const fragmentSchema = makeExecutableSchema({
+      typeDefs: `
+        type Node {
+          value: Int @cost(complexity: 1)
+          children(limit: Int): [Node] @cost(complexity: 1, multipliers: ["limit"])
+        }
+
+        type Query {
+          root: Node
+        }
+      `
+    })
+
+    const analyze = (query, options = {}) =>
+      analyzeQuery(fragmentSchema, query, { maximumCost: Infinity, ...options })
+
+    // each fragment spreads the next one twice, so the expanded document
+    // grows exponentially with the number of fragments
+    const generateDocument = (count, secondLimit = 2, secondAlias = 'second') => {
+      const fragments = []
+      for (let i = 0; i < count; i++) {
+        fragments.push(`
+          fragment F${i} on Node {
+            value
+            first: children(limit: 2) { ...F${i + 1} }
+            ${secondAlias}: children(limit: ${secondLimit}) { ...F${i + 1} }
+          }
+        `)
+      }
+      fragments.push(`fragment F${count} on Node { value }`)
+      return `query { root { ...F0 } } ${fragments.join('')}`
+    }
+
+    // the same selections without fragments
+    const generateExpandedSelections = (count, secondLimit = 2) =>
+      count
+        ? `
+          value
+          first: children(limit: 2) {
+            ${generateExpandedSelections(count - 1, secondLimit)}
+          }
+          second: children(limit: ${secondLimit}) {
+            ${generateExpandedSelections(count - 1, secondLimit)}
+          }
+        `
+        : 'value'
+
+    test('should compute the cost of a fragment once per parent multipliers', () => {
+      const { visitor } = analyze(generateDocument(3))
+      const { visitor: expandedVisitor } = analyze(
+        `query { root { ${generateExpandedSelections(3)} } }`
+      )
+
+      expect(visitor.cost).toEqual(expandedVisitor.cost)
+      expect(visitor.getResult()).toEqual(expandedVisitor.getResult())
+      expect(visitor.getResult().nodes).toEqual(1 + 2 ** 4 - 1 + 2 * (2 ** 3 - 1))
+    })
+
+    test('should scale the cost of a fragment by its parent multipliers', () => {
+      const { visitor } = analyze(generateDocument(4, 3))
+      const { visitor: expandedVisitor } = analyze(
+        `query { root { ${generateExpandedSelections(4, 3)} } }`
+      )
+
+      expect(visitor.getResult()).toEqual(expandedVisitor.getResult())
+    })
+
+    test('should not scale the fixed cost of a fragment', () => {
+      const document = `
+        query {
+          root {
+            first: children(limit: 2) { ...A }
+            second: children(limit: 3) { ...A }
+          }
+        }
+        fragment A on Node {
+          value
+          children(limit: 4) { value }
+        }
+      `
+      const costMap = {
+        Node: {
+          value: { complexity: 5, useMultipliers: false },
+          children: { complexity: 1, multipliers: ['limit'] }
+        }
+      }
+      const { visitor } = analyze(document, { costMap })
+
+      expect(visitor.cost).toEqual(2 + 3 + (5 + 2 * 4 + 5) + (5 + 3 * 4 + 5))
+    })
+
+    test('should compute the fragments which are not scalable for each parent multipliers', () => {
+      const document = `
+        query {
+          root {
+            first: children(limit: 2) { ...A }
+            second: children(limit: 10) { ...A }
+          }
+        }
+        fragment A on Node {
+          ... on Node { value }
+          ... on Node { children(limit: 1) { __typename } }
+        }
+      `
+      const costMap = {
+        Node: {
+          value: { complexity: 5, useMultipliers: false },
+          children: { complexity: 1, multipliers: ['limit'] }
+        }
+      }
+      const { visitor } = analyze(document, { costMap, fragmentCostMode: 'max' })
+
+      expect(visitor.cost).toEqual(2 + Math.max(5, 2) + 10 + Math.max(5, 10))
+    })
+
+    test('should keep the analysis time linear on large documents', () => {
+      const computeSelectionsCost = jest.spyOn(
+        CostAnalysis.prototype,
+        'computeSelectionsCost'
+      )
+      const getCalls = (count, secondLimit) => {
+        computeSelectionsCost.mockClear()
+        analyze(generateDocument(count, secondLimit))
+        return computeSelectionsCost.mock.calls.length
+      }
+
+      try {
+        const start = Date.now()
+        const calls = getCalls(50)
+        expect(getCalls(100)).toBeLessThanOrEqual(2 * calls + 10)
+        expect(getCalls(200)).toBeLessThanOrEqual(4 * calls + 10)
+        // the parent multipliers of the fragments differ with mixed limits
+        const mixedCalls = getCalls(50, 3)
+        expect(getCalls(100, 3)).toBeLessThanOrEqual(2 * mixedCalls + 10)
+        expect(getCalls(200, 3)).toBeLessThanOrEqual(4 * mixedCalls + 10)
+        expect(Date.now() - start).toBeLessThan(5000)
+      } finally {
+        computeSelectionsCost.mockRestore()
+      }
+    })
+
+    test('should merge the breakdown of the cached fragments', () => {
+      const { visitor } = analyze(generateDocument(2), { breakdown: true })
+
+      const { children } = visitor.getResult().breakdown.children.root
+      expect(children.first.children.first.children.value.cost).toEqual(4)
+      expect(children.second.children.second.children.value.cost).toEqual(4)
+    })
+
+    test('should scale the breakdown of the cached fragments', () => {
+      const { visitor } = analyze(generateDocument(4, 3), { breakdown: true })
+      const { visitor: expandedVisitor } = analyze(
+        `query { root { ${generateExpandedSelections(4, 3)} } }`,
+        { breakdown: true }
+      )
+
+      expect(visitor.getResult()).toEqual(expandedVisitor.getResult())
+      const { second } = visitor.getResult().breakdown.children.root.children
+      expect(second.children.first.multipliers).toEqual([3, 2])
+      expect(second.children.first.children.value.cost).toEqual(6)
+    })
+
+    test('should not scale the fixed cost of the breakdown of a fragment', () => {
+      const costMap = {
+        Node: {
+          value: { complexity: 5, useMultipliers: false },
+          children: { complexity: 1, multipliers: ['limit'] }
+        }
+      }
+      const fragment = `
+        value
+        children(limit: 4) { value }
+      `
+      const { visitor } = analyze(
+        `
+          query {
+            root {
+              first: children(limit: 2) { ...A }
+              second: children(limit: 3) { ...A }
+            }
+          }
+          fragment A on Node { ${fragment} }
+        `,
+        { costMap, breakdown: true }
+      )
+      const { visitor: expandedVisitor } = analyze(
+        `
+          query {
+            root {
+              first: children(limit: 2) { ${fragment} }
+              second: children(limit: 3) { ${fragment} }
+            }
+          }
+        `,
+        { costMap, breakdown: true }
+      )
+
+      expect(visitor.getResult()).toEqual(expandedVisitor.getResult())
+      const { second } = visitor.getResult().breakdown.children.root.children
+      expect(second.children.value).toMatchObject({ cost: 5, multipliers: [] })
+      expect(second.children.children.subtotal).toEqual(3 * 4 + 5)
+    })
+
+    test('should keep the analysis time linear with the breakdown', () => {
+      const computeSelectionsCost = jest.spyOn(
+        CostAnalysis.prototype,
+        'computeSelectionsCost'
+      )
+      // the fields of the fragments have the same response name, so the
+      // breakdown of the operation keeps one of them
+      const getCalls = count => {
+        computeSelectionsCost.mockClear()
+        analyze(generateDocument(count, 3, 'first'), { breakdown: true })
+        return computeSelectionsCost.mock.calls.length
+      }
+
+      try {
+        const start = Date.now()
+        const calls = getCalls(50)
+        expect(getCalls(100)).toBeLessThanOrEqual(2 * calls + 10)
+        expect(getCalls(200)).toBeLessThanOrEqual(4 * calls + 10)
+        expect(Date.now() - start).toBeLessThan(5000)
+      } finally {
+        computeSelectionsCost.mockRestore()
+      }
+    })
+
+    test('should not build the breakdown of the fragments exceeding the maximum nodes', () => {
+      // the breakdown of the expanded document would have 2^40 nodes
+      const { visitor, context } = analyze(generateDocument(40), {
+        breakdown: true,
+        maximumNodes: 1000
+      })
+
+      expect(getMessages(context)).toEqual([
+        `The query exceeds the maximum number of nodes of 1000. ` +
+          `Actual number of nodes is ${2 ** 42 - 2}`
+      ])
+      expect(visitor.getResult().breakdown.children.root.children).toEqual({})
+    })
+
+    test('should report the operations nested too deeply to be costed', () => {
+      const fragments = []
+      for (let i = 0; i < 20000; i++) {
+        fragments.push(
+          `fragment F${i} on Node { value children(limit: 1) { ...F${i + 1} } }`
+        )
+      }
+      fragments.push(`fragment F20000 on Node { value }`)
+
+      const { visitor, context } = analyze(
+        `query deep { root { ...F0 } } ${fragments.join(' ')}`,
+        { maximumCost: 100 }
+      )
+      expect(getMessages(context)).toEqual([
+        'The query deep is nested too deeply to compute its cost',
+        'The query exceeds the maximum cost of 100. Actual cost is Infinity'
+      ])
+      expect(visitor.cost).toEqual(Infinity)
+    })
+
+    test('should report the fragments spreading themselves', () => {
+      const { context } = analyze(`
+        query { root { ...A } }
+        fragment A on Node { value children(limit: 2) { ...B } }
+        fragment B on Node { value children(limit: 2) { ...A } }
+      `)
+
+      expect(getMessages(context)).toEqual([
+        'Cannot compute the cost of the fragment "A" spreading itself'
+      ])
+    })
+  })
+
+  describe('@skip and @include directives', () => {
+    const directiveSchema = makeExecutableSchema({
+      typeDefs: `
+        type Post {
+          title: String @cost(complexity: 1)
+          body: String @cost(complexity: 10)
+        }
+
+        type Query {
+          posts(limit: Int): [Post] @cost(complexity: 2, multipliers: ["limit"])
+        }
+      `
+    })
+
+    const getCost = (query, variables) =>
+      analyzeQuery(directiveSchema, query, { maximumCost: 1000, variables })
+        .visitor.cost
+
+    test('should not cost the skipped fields', () => {
+      const query = `
+        query posts($withBody: Boolean!) {
+          posts(limit: 10) {
+            title
+            body @include(if: $withBody)
+            skipped: body @skip(if: true)
+          }
+        }
+      `
+
+      expect(getCost(query, { withBody: false })).toEqual(2 * 10 + 10)
+      expect(getCost(query, { withBody: true })).toEqual(2 * 10 + 10 + 100)
+    })
+
+    test('should not cost the skipped fragments', () => {
+      const query = `
+        query posts($light: Boolean!) {
+          posts(limit: 10) {
+            ...details @skip(if: $light)
+            ... on Post @include(if: $light) {
+              title
+            }
+          }
+        }
+
+        fragment details on Post {
+          title
+          body
+        }
+      `
+
+      expect(getCost(query, { light: true })).toEqual(2 * 10 + 10)
+      expect(getCost(query, { light: false })).toEqual(2 * 10 + 110)
+    })
+  })
+
+  describe('@costBudget directive', () => {
+    const budgetSchema = makeExecutableSchema({
+      typeDefs: [
+        costBudgetDirectiveTypeDefs,
+        `
+          type Query {
+            report: Int @cost(complexity: 50)
+          }
+        `
+      ]
+    })
+
+    const analyze = (query, options = {}) => {
+      const onComplete = jest.fn()
+      const { context } = analyzeQuery(budgetSchema, query, {
+        maximumCost: 10,
+        onComplete,
+        ...options
+      })
+      return {
+        result: onComplete.mock.calls[0][1],
+        messages: getMessages(context)
+      }
+    }
+
+    test('should ignore the budget without allowBudgetOverride', () => {
+      const { result, messages } = analyze(
+        `query report @costBudget(max: 100) { report }`
+      )
+
+      expect(result.maximumCost).toEqual(10)
+      expect(result.budgetOverride).toEqual({ budget: 100, allowed: false })
+      expect(messages).toEqual([
+        'The query exceeds the maximum cost of 10. Actual cost is 50'
+      ])
+    })
+
+    test('should use the budget allowed by allowBudgetOverride', () => {
+      const allowBudgetOverride = jest.fn(
+        (context, { budget }) => context.trusted && budget <= 1000
+      )
+      const query = `
+        query report($budget: Int!) @costBudget(max: $budget) {
+          report
+        }
+      `
+
+      const { result, messages } = analyze(query, {
+        allowBudgetOverride,
+        context: { trusted: true },
+        variables: { budget: 100 }
+      })
+      expect(allowBudgetOverride).toHaveBeenCalledWith(
+        { trusted: true },
+        {
+          operationName: 'report',
+          operationType: 'query',
+          budget: 100,
+          maximumCost: 10
+        }
+      )
+      expect(result.maximumCost).toEqual(100)
+      expect(result.budgetOverride).toEqual({ budget: 100, allowed: true })
+      expect(messages).toEqual([])
+
+      // a lower budget is allowed too
+      expect(
+        analyze(query, {
+          allowBudgetOverride,
+          context: { trusted: true },
+          variables: { budget: 5 },
+          maximumCost: 100
+        }).messages
+      ).toEqual(['The query exceeds the maximum cost of 5. Actual cost is 50'])
+      expect(
+        analyze(query, {
+          allowBudgetOverride,
+          context: { trusted: false },
+          variables: { budget: 100 }
+        }).messages
+      ).toEqual(['The query exceeds the maximum cost of 10. Actual cost is 50'])
+    })
+
+    test('should report the invalid budgets', () => {
+      expect(
+        analyze(`query report @costBudget(max: 0) { report }`, {
+          maximumCost: 100
+        }).messages
+      ).toEqual([
+        'The cost budget of the operation report must be a positive number'
+      ])
+    })
+
+    test('should be a valid directive of the operations', () => {
+      const ast = parse(`query report @costBudget(max: 100) { report }`)
+
+      expect(validate(budgetSchema, ast, specifiedRules)).toEqual([])
+    })
+  })
+
+  describe('subscriptions', () => {
+    const subscriptionSchema = makeExecutableSchema({
+      typeDefs: `
+        type Message {
+          text: String @cost(complexity: 2)
+          author: String @cost(complexity: 3)
+        }
+
+        type Query {
+          messages: [Message]
+        }
+
+        type Subscription {
+          messageAdded(rooms: [ID]): Message @cost(
+            complexity: 10, multipliers: ["rooms"], eventRate: 30
+          )
+          messageEdited: Message
+        }
+      `
+    })
+
+    const analyze = (query, options = {}) =>
+      analyzeQuery(subscriptionSchema, query, { maximumCost: 10000, ...options })
+        .visitor.getResult()
+
+    test('should charge the payload for each expected event', () => {
+      const result = analyze(`
+        subscription {
+          messageAdded(rooms: ["1", "2"]) {
+            text
+            author
+          }
+        }
+      `)
+
+      // the setup cost is multiplied by the rooms, and so is the payload
+      const setupCost = 10 * 2
+      const eventCost = (2 + 3) * 2
+      expect(result.cost).toEqual(setupCost + eventCost * 30)
+      expect(result.subscription).toEqual({ setupCost, eventCost, eventRate: 30 })
+    })
+
+    test('should read the event rate from the costMap and the root fragments', () => {
+      const result = analyze(
+        `
+          subscription {
+            ...edited
+          }
+
+          fragment edited on Subscription {
+            messageEdited {
+              text
+            }
+          }
+        `,
+        {
+          costMap: {
+            Subscription: { messageEdited: { complexity: 4, eventRate: 0.5 } },
+            Message: { text: { complexity: 2 } }
+          }
+        }
+      )
+
+      expect(result.cost).toEqual(4 + 2 * 0.5)
+      expect(result.subscription).toEqual({
+        setupCost: 4,
+        eventCost: 2,
+        eventRate: 0.5
+      })
+    })
+
+    test('should not record subscription costs for the queries', () => {
+      expect(analyze(`query { messages { text } }`).subscription).toBeUndefined()
+    })
+  })
+
+  describe('input costs', () => {
+    const inputSchema = makeExecutableSchema({
+      typeDefs: `
+        input LineItemInput @cost(complexity: 2) {
+          product: ID
+          options: [String] @cost(complexity: 1)
+        }
+
+        input OrderInput {
+          customer: ID
+          lineItems: [LineItemInput!] @cost(complexity: 1)
+        }
+
+        type Order {
+          id: ID @cost(complexity: 1)
+        }
+
+        type Query {
+          orders: [Order]
+        }
+
+        type Mutation {
+          createOrders(input: [OrderInput!]!): [Order] @cost(complexity: 5)
+        }
+      `
+    })
+
+    const getCost = (query, options = {}) =>
+      analyzeQuery(inputSchema, query, { maximumCost: 100000, ...options })
+        .visitor.cost
+
+    const mutation = `
+      mutation createOrders($input: [OrderInput!]!) {
+        createOrders(input: $input) {
+          id
+        }
+      }
+    `
+    const createInput = (orders, lineItems) =>
+      Array.from({ length: orders }, () => ({
+        customer: '1',
+        lineItems: Array.from({ length: lineItems }, () => ({
+          product: '1',
+          options: ['red', 'large']
+        }))
+      }))
+
+    test('should walk the nested input lists', () => {
+      // each line item costs 1 for the lineItems field, 2 for its type
+      // and 1 for each option
+      const lineItemCost = 1 + 2 + 2
+      expect(
+        getCost(mutation, { variables: { input: createInput(1000, 50) } })
+      ).toEqual(5 + 1000 * 50 * lineItemCost + 1)
+      expect(
+        getCost(mutation, { variables: { input: createInput(2, 3) } })
+      ).toEqual(5 + 2 * 3 * lineItemCost + 1)
+    })
+
+    test('should read the input costs of literals and of the costMap', () => {
+      const costMap = {
+        Mutation: { createOrders: { complexity: 5 } },
+        OrderInput: { __type: { complexity: 10 } },
+        LineItemInput: { options: { complexity: 3 } }
+      }
+      const query = `
+        mutation {
+          createOrders(input: {
+            lineItems: [{ product: "1", options: ["red"] }, { product: "2" }]
+          }) {
+            id
+          }
+        }
+      `
+
+      expect(getCost(query)).toEqual(5 + 2 * (1 + 2) + 1 + 1)
+      expect(getCost(query, { costMap })).toEqual(5 + 10 + 3)
+    })
+  })
+
+  describe('conditional complexities', () => {
+    const conditionSchema = makeExecutableSchema({
+      typeDefs: [
+        costDirectiveTypeDefs,
+        `
+          enum SearchOrder {
+            ID
+            RELEVANCE
+          }
+
+          input SearchFilters {
+            fuzzy: Boolean
+          }
+
+          type Result {
+            id: ID
+          }
+
+          type Query {
+            search(
+              query: String
+              fuzzy: Boolean
+              orderBy: SearchOrder
+              filters: SearchFilters
+            ): [Result] @cost(complexity: 2, conditions: [
+              { when: { fuzzy: true, orderBy: RELEVANCE }, complexity: 30 }
+              { when: { fuzzy: true }, complexity: 20 }
+              { when: { orderBy: RELEVANCE }, complexity: 15 }
+              { when: { filters: { fuzzy: true } }, complexity: 10 }
+            ])
+          }
+        `
+      ]
+    })
+
+    const getCost = (query, options = {}) =>
+      analyzeQuery(conditionSchema, query, { maximumCost: 1000, ...options })
+        .visitor.cost
+
+    test('should use the complexity of the first matching condition', () => {
+      expect(getCost(`query { search(query: "a") { id } }`)).toEqual(2)
+      expect(getCost(`query { search(fuzzy: true) { id } }`)).toEqual(20)
+      expect(getCost(`query { search(fuzzy: false) { id } }`)).toEqual(2)
+      expect(getCost(`query { search(orderBy: RELEVANCE) { id } }`)).toEqual(15)
+      expect(
+        getCost(`query { search(fuzzy: true, orderBy: RELEVANCE) { id } }`)
+      ).toEqual(30)
+      expect(
+        getCost(`query { search(filters: { fuzzy: true }) { id } }`)
+      ).toEqual(10)
+    })
+
+    test('should match the variables values', () => {
+      expect(
+        getCost(`query search($fuzzy: Boolean) { search(fuzzy: $fuzzy) { id } }`, {
+          variables: { fuzzy: true }
+        })
+      ).toEqual(20)
+    })
+
+    test('should read the conditions of the costMap', () => {
+      const costMap = {
+        Query: {
+          search: {
+            complexity: 1,
+            conditions: [
+              { when: { 'filters.fuzzy': true }, complexity: 8 },
+              { when: { orderBy: 'ID' }, complexity: 3 }
+            ]
+          }
+        }
+      }
+      expect(
+        getCost(`query { search(filters: { fuzzy: true }) { id } }`, { costMap })
+      ).toEqual(8)
+      expect(getCost(`query { search(orderBy: ID) { id } }`, { costMap })).toEqual(3)
+      expect(getCost(`query { search { id } }`, { costMap })).toEqual(1)
+    })
+  })
+
+  describe('fractional costs', () => {
+    const creditSchema = makeExecutableSchema({
+      typeDefs: [
+        costDirectiveTypeDefs,
+        `
+          type Post {
+            title: String @cost(complexity: 0.1)
+            body: String @cost(complexity: 2, weight: 0.25)
+          }
+
+          type Query {
+            posts(limit: Int, ratio: Float): [Post] @cost(
+              complexity: 1.5, multipliers: ["limit"]
+            )
+            sample(ratio: Float): [Post] @cost(complexity: 2, multipliers: ["ratio"])
+          }
+        `
+      ]
+    })
+
+    const analyze = (query, options = {}) => {
+      const { visitor, context } = analyzeQuery(creditSchema, query, {
+        maximumCost: 100,
+        ...options
+      })
+      return { cost: visitor.cost, errors: context.getErrors() }
+    }
+
+    test('should accept Float complexities and weights', () => {
+      expect(analyze(`query { posts(limit: 10) { title body } }`).cost).toBeCloseTo(
+        1.5 * 10 + 0.1 * 10 + 2 * 0.25 * 10
+      )
+      expect(analyze(`query { sample(ratio: 0.5) { title } }`).cost).toBeCloseTo(
+        2 * 0.5 + 0.1 * 0.5
+      )
+    })
+
+    test('should read Float complexities and weights from the costMap', () => {
+      const costMap = {
+        Query: { posts: { complexity: 0.5, multipliers: ['limit'] } },
+        Post: { title: { complexity: 4, weight: 0.1 } }
+      }
+      expect(
+        analyze(`query { posts(limit: 10) { title } }`, { costMap }).cost
+      ).toBeCloseTo(0.5 * 10 + 0.4 * 10)
+    })
+
+    test('should round the cost before comparing it with the maximum cost', () => {
+      const query = `query { posts(limit: 1) { title } }`
+
+      expect(analyze(query).cost).toEqual(1.6)
+      expect(analyze(query, { rounding: 'ceil' }).cost).toEqual(2)
+      expect(analyze(query, { rounding: 'floor' }).cost).toEqual(1)
+      expect(analyze(query, { rounding: 'none' }).cost).toEqual(1.6)
+      expect(
+        analyze(query, { rounding: 'ceil', maximumCost: 1.8 }).errors[0].message
+      ).toEqual('The query exceeds the maximum cost of 1.8. Actual cost is 2')
+      expect(
+        analyze(query, { rounding: 'floor', maximumCost: 1.2 }).errors
+      ).toEqual([])
+    })
+
+    test('assert the rounding is valid', () => {
+      expect(() => analyze(`query { posts { title } }`, { rounding: 'round' })).toThrow(
+        'Unknown cost rounding round'
+      )
+    })
+  })
 })
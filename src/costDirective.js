@@ -0,0 +1,165 @@
+// @flow
+import {
+  GraphQLDirective,
+  GraphQLList,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLFloat,
+  GraphQLBoolean,
+  GraphQLNonNull,
+  GraphQLInputObjectType,
+  GraphQLScalarType,
+  DirectiveLocation
+} from 'graphql'
+import { valueFromASTUntyped } from 'graphql/utilities/valueFromASTUntyped'
+
+// the arguments of these definitions are the ones read by the cost analysis,
+// they must be kept in sync
+export const costDirectiveTypeDefs = `
+  directive @cost(
+    "The complexity of the field or type"
+    complexity: Float
+    "The names of the field arguments used to multiply the cost"
+    multipliers: [String]
+    "Whether the cost depends on the multipliers and the parent multipliers"
+    useMultipliers: Boolean
+    "DEPRECATED: use multipliers instead"
+    multiplier: String
+    "The estimated size of a list field without multipliers"
+    assumedSize: Int
+    "How the multipliers are combined: sum, max, min, product or a registered combiner"
+    combiner: String
+    "The maximum value of the combined multipliers"
+    maxMultiplier: Int
+    "The name of a registered cost function computing the complexity"
+    costFn: String
+    "The expected number of events of a subscription field"
+    eventRate: Float
+    "Complexities used instead of complexity when the arguments match"
+    conditions: [CostCondition!]
+    "The factor applied to the complexity"
+    weight: Float
+  ) on FIELD_DEFINITION | OBJECT | INTERFACE | UNION | INPUT_OBJECT | INPUT_FIELD_DEFINITION
+
+  "A complexity used when the arguments of a field match"
+  input CostCondition {
+    "The argument values to match, by argument name or path"
+    when: CostArguments!
+    "The complexity used when the arguments match"
+    complexity: Float!
+  }
+
+  "An object of argument values"
+  scalar CostArguments
+`
+
+const costArgumentsType = new GraphQLScalarType({
+  name: 'CostArguments',
+  description: 'An object of argument values',
+  serialize: value => value,
+  parseValue: value => value,
+  parseLiteral: ast => valueFromASTUntyped(ast)
+})
+
+const costConditionType = new GraphQLInputObjectType({
+  name: 'CostCondition',
+  description: 'A complexity used when the arguments of a field match',
+  fields: {
+    when: {
+      type: new GraphQLNonNull(costArgumentsType),
+      description: 'The argument values to match, by argument name or path'
+    },
+    complexity: {
+      type: new GraphQLNonNull(GraphQLFloat),
+      description: 'The complexity used when the arguments match'
+    }
+  }
+})
+
+export const costDirective = new GraphQLDirective({
+  name: 'cost',
+  description: 'The cost settings of a field or type',
+  locations: [
+    DirectiveLocation.FIELD_DEFINITION,
+    DirectiveLocation.OBJECT,
+    DirectiveLocation.INTERFACE,
+    DirectiveLocation.UNION,
+    DirectiveLocation.INPUT_OBJECT,
+    DirectiveLocation.INPUT_FIELD_DEFINITION
+  ],
+  args: {
+    complexity: {
+      type: GraphQLFloat,
+      description: 'The complexity of the field or type'
+    },
+    multipliers: {
+      type: new GraphQLList(GraphQLString),
+      description: 'The names of the field arguments used to multiply the cost'
+    },
+    useMultipliers: {
+      type: GraphQLBoolean,
+      description:
+        'Whether the cost depends on the multipliers and the parent multipliers'
+    },
+    multiplier: {
+      type: GraphQLString,
+      description: 'DEPRECATED: use multipliers instead'
+    },
+    assumedSize: {
+      type: GraphQLInt,
+      description: 'The estimated size of a list field without multipliers'
+    },
+    combiner: {
+      type: GraphQLString,
+      description:
+        'How the multipliers are combined: sum, max, min, product or a registered combiner'
+    },
+    maxMultiplier: {
+      type: GraphQLInt,
+      description: 'The maximum value of the combined multipliers'
+    },
+    costFn: {
+      type: GraphQLString,
+      description:
+        'The name of a registered cost function computing the complexity'
+    },
+    eventRate: {
+      type: GraphQLFloat,
+      description: 'The expected number of events of a subscription field'
+    },
+    conditions: {
+      type: new GraphQLList(new GraphQLNonNull(costConditionType)),
+      description:
+        'Complexities used instead of complexity when the arguments match'
+    },
+    weight: {
+      type: GraphQLFloat,
+      description: 'The factor applied to the complexity'
+    }
+  }
+})
+
+// an operation can request its own maximum cost, it is only applied when
+// allowed by the allowBudgetOverride option
+export const costBudgetDirectiveTypeDefs = `
+  directive @costBudget(
+    "The maximum cost requested for the operation"
+    max: Int!
+  ) on QUERY | MUTATION | SUBSCRIPTION
+`
+
+export const costBudgetDirective = new GraphQLDirective({
+  name: 'costBudget',
+  description: 'The maximum cost requested by an operation',
+  locations: [
+    DirectiveLocation.QUERY,
+    DirectiveLocation.MUTATION,
+    DirectiveLocation.SUBSCRIPTION
+  ],
+  args: {
+    max: {
+      type: new GraphQLNonNull(GraphQLInt),
+      description: 'The maximum cost requested for the operation'
+    }
+  }
+})
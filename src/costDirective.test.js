@@ -0,0 +1,109 @@
+import {
+  buildSchema,
+  parse,
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLInt,
+  TypeInfo,
+  ValidationContext,
+  visit,
+  visitWithTypeInfo,
+  specifiedDirectives
+} from 'graphql'
+import { makeExecutableSchema } from 'graphql-tools'
+import CostAnalysis from './costAnalysis'
+import {
+  costDirective,
+  costDirectiveTypeDefs,
+  costBudgetDirective,
+  costBudgetDirectiveTypeDefs
+} from './costDirective'
+
+describe('Cost directive Tests', () => {
+  test('the SDL and the GraphQLDirective definitions should be in sync', () => {
+    const schema = buildSchema(`
+      ${costDirectiveTypeDefs}
+      type Query {
+        field: Int
+      }
+    `)
+    const directive = schema.getDirective('cost')
+
+    expect(directive.locations).toEqual(costDirective.locations)
+    expect(
+      directive.args.map(arg => ({ name: arg.name, type: String(arg.type) }))
+    ).toEqual(
+      costDirective.args.map(arg => ({ name: arg.name, type: String(arg.type) }))
+    )
+  })
+
+  test('should be usable with graphql-tools', () => {
+    const schema = makeExecutableSchema({
+      typeDefs: [
+        costDirectiveTypeDefs,
+        `
+          type Query {
+            field(limit: Int): Int @cost(complexity: 3, multipliers: ["limit"])
+            typeCost: TypeCost
+          }
+
+          type TypeCost @cost(complexity: 2) {
+            int: Int
+          }
+        `
+      ]
+    })
+    const typeInfo = new TypeInfo(schema)
+    const ast = parse(`
+      query {
+        field(limit: 10)
+        typeCost {
+          int
+        }
+      }
+    `)
+
+    const context = new ValidationContext(schema, ast, typeInfo)
+    const visitor = new CostAnalysis(context, {
+      maximumCost: 100
+    })
+
+    visit(ast, visitWithTypeInfo(typeInfo, visitor))
+    expect(schema.getDirective('cost')).toBeDefined()
+    expect(visitor.cost).toEqual(3 * 10 + 2)
+  })
+
+  test('should be usable in a schema built in code', () => {
+    const schema = new GraphQLSchema({
+      query: new GraphQLObjectType({
+        name: 'Query',
+        fields: {
+          field: { type: GraphQLInt }
+        }
+      }),
+      directives: [...specifiedDirectives, costDirective]
+    })
+
+    expect(schema.getDirective('cost')).toBe(costDirective)
+  })
+
+  test('the SDL and the GraphQLDirective budget definitions should be in sync', () => {
+    const schema = buildSchema(`
+      ${costBudgetDirectiveTypeDefs}
+      type Query {
+        field: Int
+      }
+    `)
+    const directive = schema.getDirective('costBudget')
+
+    expect(directive.locations).toEqual(costBudgetDirective.locations)
+    expect(
+      directive.args.map(arg => ({ name: arg.name, type: String(arg.type) }))
+    ).toEqual(
+      costBudgetDirective.args.map(arg => ({
+        name: arg.name,
+        type: String(arg.type)
+      }))
+    )
+  })
+})
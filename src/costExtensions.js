@@ -0,0 +1,122 @@
+// @flow
+import getQueryCost from './getQueryCost'
+
+import type { GraphQLSchema } from 'graphql'
+import type { CostAnalysisOptions, CostAnalysisResult } from './costAnalysis'
+import type { CostRateLimiter, RateLimitState } from './rateLimiter'
+
+export type CostExtensions = {
+  cost: {
+    requestedQueryCost: number,
+    maximumAvailable: ?number,
+    remaining?: number,
+    resetAt?: string
+  }
+}
+
+export type CostExtensionsRecorder = {
+  onComplete: (cost: number, result: CostAnalysisResult) => void,
+  setRateLimit: (state: RateLimitState) => void,
+  extensions: () => ?CostExtensions
+}
+
+// the variables and the operation name are taken from the requests
+export type ApolloCostPluginOptions = CostAnalysisOptions & {
+  schema: GraphQLSchema,
+  rateLimiter?: CostRateLimiter
+}
+
+/**
+ * Formats the result of the cost analysis (and the state of the rate
+ * limit) as the extensions of a GraphQL response.
+ */
+export function getCostExtensions (
+  result: CostAnalysisResult,
+  rateLimit?: ?RateLimitState
+): CostExtensions {
+  const cost = {
+    requestedQueryCost: result.cost,
+    // an unlimited cost can't be serialized
+    maximumAvailable: isFinite(result.maximumCost) ? result.maximumCost : null
+  }
+  if (!rateLimit) {
+    return { cost }
+  }
+  return {
+    cost: {
+      ...cost,
+      remaining: rateLimit.remaining,
+      resetAt: new Date(rateLimit.resetAt).toISOString()
+    }
+  }
+}
+
+/**
+ * Records the result of the cost analysis of a request with the onComplete
+ * callback, for the extensions option of express-graphql.
+ */
+export function createCostExtensions (): CostExtensionsRecorder {
+  let result: ?CostAnalysisResult
+  let rateLimit: ?RateLimitState
+
+  return {
+    onComplete (cost: number, costResult: CostAnalysisResult) {
+      result = costResult
+    },
+    setRateLimit (state: RateLimitState) {
+      rateLimit = state
+    },
+    extensions (): ?CostExtensions {
+      return result ? getCostExtensions(result, rateLimit) : undefined
+    }
+  }
+}
+
+/**
+ * Apollo Server plugin computing the cost of each operation, rejecting the
+ * ones exceeding the maximum cost or the rate limit, and adding the cost
+ * extensions to the responses.
+ */
+export function createApolloCostPlugin ({
+  schema,
+  rateLimiter,
+  ...options
+}: ApolloCostPluginOptions) {
+  return {
+    requestDidStart () {
+      let extensions: ?CostExtensions
+
+      return {
+        didResolveOperation ({ request, document, context }: Object) {
+          // the breakdown isn't used, and it can grow exponentially with
+          // the fragments of a small document
+          const result = getQueryCost({
+            ...options,
+            schema,
+            document,
+            variables: request.variables,
+            operationName: request.operationName,
+            breakdown: false
+          })
+          if (result.errors.length) {
+            throw result.errors[0]
+          }
+
+          extensions = getCostExtensions(result)
+          if (!rateLimiter) {
+            return
+          }
+          return rateLimiter.consume(context, result.cost).then(state => {
+            extensions = getCostExtensions(result, state)
+          })
+        },
+
+        willSendResponse ({ response }: Object) {
+          if (extensions) {
+            response.extensions = { ...response.extensions, ...extensions }
+          }
+        }
+      }
+    }
+  }
+}
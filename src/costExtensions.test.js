@@ -0,0 +1,196 @@
+import { parse, validate, specifiedRules } from 'graphql'
+import { makeExecutableSchema } from 'graphql-tools'
+import createCostAnalysis from './index'
+import createCostRateLimiter from './rateLimiter'
+import {
+  getCostExtensions,
+  createCostExtensions,
+  createApolloCostPlugin
+} from './costExtensions'
+
+const typeDefs = `
+  type Post {
+    title: String @cost(complexity: 1)
+    related(limit: Int): [Post] @cost(complexity: 1, multipliers: ["limit"])
+  }
+
+  type Query {
+    posts(limit: Int): [Post] @cost(complexity: 2, multipliers: ["limit"])
+  }
+`
+
+const schema = makeExecutableSchema({ typeDefs })
+
+const query = `
+  query posts($limit: Int) {
+    posts(limit: $limit) {
+      title
+    }
+  }
+`
+
+describe('Cost extensions Tests', () => {
+  let now
+  beforeEach(() => {
+    now = Date.UTC(2018, 0, 1)
+    jest.spyOn(Date, 'now').mockImplementation(() => now)
+  })
+
+  afterEach(() => {
+    Date.now.mockRestore()
+  })
+
+  test('should format the cost and the rate limit state', () => {
+    const result = { cost: 30, maximumCost: 100, operations: { posts: 30 } }
+
+    expect(getCostExtensions(result)).toEqual({
+      cost: { requestedQueryCost: 30, maximumAvailable: 100 }
+    })
+    expect(
+      getCostExtensions(result, {
+        key: 'alice',
+        cost: 30,
+        capacity: 1000,
+        remaining: 970,
+        resetAt: now + 3000
+      })
+    ).toEqual({
+      cost: {
+        requestedQueryCost: 30,
+        maximumAvailable: 100,
+        remaining: 970,
+        resetAt: '2018-01-01T00:00:03.000Z'
+      }
+    })
+    expect(
+      getCostExtensions({ ...result, maximumCost: Infinity }).cost
+        .maximumAvailable
+    ).toEqual(null)
+  })
+
+  test('should record the cost for the express-graphql extensions', () => {
+    const costExtensions = createCostExtensions()
+    expect(costExtensions.extensions()).toEqual(undefined)
+
+    const errors = validate(schema, parse(query), [
+      ...specifiedRules,
+      createCostAnalysis({
+        maximumCost: 100,
+        variables: { limit: 10 },
+        onComplete: costExtensions.onComplete
+      })
+    ])
+    costExtensions.setRateLimit({
+      key: 'alice',
+      cost: 30,
+      capacity: 1000,
+      remaining: 970,
+      resetAt: now
+    })
+
+    expect(errors).toEqual([])
+    expect(costExtensions.extensions()).toEqual({
+      cost: {
+        requestedQueryCost: 2 * 10 + 10,
+        maximumAvailable: 100,
+        remaining: 970,
+        resetAt: '2018-01-01T00:00:00.000Z'
+      }
+    })
+  })
+
+  describe('Apollo Server plugin', () => {
+    // runs the request lifecycle hooks used by the plugin
+    const runRequest = async (plugin, request, context = {}, document = query) => {
+      const hooks = plugin.requestDidStart()
+      const response = { data: {}, extensions: { tracing: true } }
+      await hooks.didResolveOperation({
+        request,
+        document: parse(document),
+        context
+      })
+      hooks.willSendResponse({ response })
+      return response
+    }
+
+    test('should add the cost extensions to the response', async () => {
+      const plugin = createApolloCostPlugin({ schema, maximumCost: 100 })
+      const response = await runRequest(plugin, {
+        variables: { limit: 10 },
+        operationName: 'posts'
+      })
+
+      expect(response.extensions).toEqual({
+        tracing: true,
+        cost: { requestedQueryCost: 2 * 10 + 10, maximumAvailable: 100 }
+      })
+    })
+
+    test('should not build the cost breakdown', async () => {
+      // each fragment spreads the next one under two aliases, so the
+      // breakdown of the expanded document would have 2^40 nodes
+      const fragments = []
+      for (let i = 0; i < 40; i++) {
+        fragments.push(`
+          fragment F${i} on Post {
+            first: related(limit: 1) { ...F${i + 1} }
+            second: related(limit: 1) { ...F${i + 1} }
+          }
+        `)
+      }
+      fragments.push(`fragment F40 on Post { title }`)
+      const plugin = createApolloCostPlugin({
+        schema,
+        breakdown: true,
+        maximumCost: Infinity
+      })
+
+      const response = await runRequest(
+        plugin,
+        {},
+        {},
+        `query { posts(limit: 1) { ...F0 } } ${fragments.join('')}`
+      )
+      // the posts field, the related fields and the titles
+      expect(response.extensions.cost.requestedQueryCost).toEqual(
+        2 + (2 ** 41 - 2) + 2 ** 40
+      )
+    })
+
+    test('should reject the operations exceeding the maximum cost', async () => {
+      const plugin = createApolloCostPlugin({ schema, maximumCost: 10 })
+
+      await expect(
+        runRequest(plugin, { variables: { limit: 10 } })
+      ).rejects.toMatchObject({
+        message: 'The query exceeds the maximum cost of 10. Actual cost is 30'
+      })
+    })
+
+    test('should consume the rate limit and report the remaining budget', async () => {
+      const plugin = createApolloCostPlugin({
+        schema,
+        maximumCost: 100,
+        rateLimiter: createCostRateLimiter({
+          capacity: 50,
+          refillPerSecond: 10,
+          keyFn: context => context.user
+        })
+      })
+      const request = { variables: { limit: 10 } }
+
+      const response = await runRequest(plugin, request, { user: 'alice' })
+      expect(response.extensions.cost).toEqual({
+        requestedQueryCost: 30,
+        maximumAvailable: 100,
+        remaining: 20,
+        resetAt: '2018-01-01T00:00:03.000Z'
+      })
+      await expect(
+        runRequest(plugin, request, { user: 'alice' })
+      ).rejects.toMatchObject({
+        extensions: { cost: 30, remaining: 20, retryAfter: 1 }
+      })
+    })
+  })
+})
@@ -0,0 +1,210 @@
+// @flow
+import { parse, Kind, TypeInfo, ValidationContext } from 'graphql'
+import CostAnalysis, { CostEvaluator } from './costAnalysis'
+
+import type { DocumentNode, GraphQLSchema, GraphQLError } from 'graphql'
+import type {
+  CostEvaluationOptions,
+  CostSource,
+  FieldCostSettings,
+  FragmentCostMode,
+  OperationType
+} from './costAnalysis'
+import type { QueryCost } from './getQueryCost'
+
+// a value of the document, the variables are replaced by the values of
+// the request when the plan is evaluated
+export type CostPlanValue =
+  | { kind: 'value', value: mixed }
+  | { kind: 'variable', name: string, defaultValue?: mixed }
+  | { kind: 'list', values: Array<CostPlanValue> }
+  | { kind: 'object', fields: { [name: string]: CostPlanValue } }
+
+// the name of an input object type, or a list of input values
+export type CostPlanInputType = string | { list: CostPlanInputType }
+
+export type CostPlanInputObject = {
+  complexity: number,
+  fields: {
+    [name: string]: { complexity: number, type: ?CostPlanInputType }
+  }
+}
+
+// the if arguments of the @skip and @include directives
+export type CostPlanConditions = {
+  skip?: CostPlanValue,
+  include?: CostPlanValue
+}
+
+type CostPlanFieldOf<Selection> = {
+  kind: 'field',
+  skip?: CostPlanValue,
+  include?: CostPlanValue,
+  fieldName: string,
+  responseName: string,
+  parentTypeName: string,
+  typeName: ?string,
+  isList: boolean,
+  isConnection: boolean,
+  isSubscriptionField: boolean,
+  settings: Array<FieldCostSettings>,
+  args: { [argument: string]: CostPlanValue },
+  inputs: { [argument: string]: CostPlanInputType },
+  selections: Array<Selection>
+}
+
+export type CostPlanSelection =
+  | CostPlanFieldOf<CostPlanSelection>
+  | {
+      kind: 'fragmentSpread',
+      skip?: CostPlanValue,
+      include?: CostPlanValue,
+      name: string
+    }
+  | {
+      kind: 'inlineFragment',
+      skip?: CostPlanValue,
+      include?: CostPlanValue,
+      typeName: ?string,
+      selections: Array<CostPlanSelection>
+    }
+  // a field unknown to its parent type costs the default cost
+  | { kind: 'default', skip?: CostPlanValue, include?: CostPlanValue }
+
+export type CostPlanField = CostPlanFieldOf<CostPlanSelection>
+
+export type CostPlanOperation = {
+  name: ?string,
+  operationType: OperationType,
+  typeName: ?string,
+  budget?: CostPlanValue,
+  selections: Array<CostPlanSelection>
+}
+
+export type CostPlan = {
+  defaultCost: number,
+  defaultComplexity: number,
+  complexityRange?: { min: number, max: number },
+  defaultListSize?: number,
+  defaultConnectionSize: ?number,
+  fragmentCostMode?: FragmentCostMode,
+  possibleTypes: { [abstractTypeName: string]: Array<string> },
+  inputTypes: { [typeName: string]: CostPlanInputObject },
+  fragments: {
+    [name: string]: {
+      typeCondition: ?string,
+      selections: Array<CostPlanSelection>
+    }
+  },
+  operations: Array<CostPlanOperation>
+}
+
+export type CostPlanOptions = {
+  schema: GraphQLSchema,
+  document: DocumentNode | string,
+  defaultCost?: number,
+  costMap?: Object,
+  complexityRange?: { min: number, max: number },
+  costPrecedence?: Array<CostSource>,
+  defaultListSize?: number,
+  connections?: boolean | { defaultSize?: number },
+  fragmentCostMode?: FragmentCostMode
+}
+
+// the plan doesn't reference the schema and the document, so the cost
+// functions only receive the names of the field and of its parent type
+export type CostPlanFunction = (
+  args: { [argument: string]: mixed },
+  context: mixed,
+  info: { fieldName: string, parentTypeName: string, variableValues: Object }
+) => number
+
+export type CostPlanEvaluationOptions = CostEvaluationOptions & {
+  costFunctions?: { [name: string]: CostPlanFunction }
+}
+
+class CostPlanEvaluator extends CostEvaluator<CostPlanEvaluationOptions> {
+  errors: Array<GraphQLError>
+
+  constructor (plan: CostPlan, options: CostPlanEvaluationOptions) {
+    const errors = []
+    super(plan, options, error => {
+      errors.push(error)
+    })
+    this.errors = errors
+  }
+
+  callCostFunction (
+    costFunction: CostPlanFunction,
+    costFn: string,
+    field: CostPlanField,
+    fieldArgs: { [argument: string]: mixed }
+  ): mixed {
+    const complexity: mixed = costFunction(fieldArgs, this.options.context, {
+      fieldName: field.fieldName,
+      parentTypeName: field.parentTypeName,
+      variableValues: this.options.variables || {}
+    })
+    if (
+      complexity &&
+      typeof complexity === 'object' &&
+      typeof complexity.then === 'function'
+    ) {
+      throw new Error(
+        `The cost function ${costFn} returned a promise, ` +
+          `resolve it in the resolvedCosts option`
+      )
+    }
+    return complexity
+  }
+
+  evaluate (): QueryCost {
+    const { operationName } = this.options
+    for (const operation of this.plan.operations) {
+      if (!operationName || operation.name === operationName) {
+        this.evaluateOperation(operation)
+        this.checkLimits(operation.name || 'anonymous')
+      }
+    }
+    return { ...this.getResult(), errors: this.errors }
+  }
+}
+
+/**
+ * Compiles the cost plan of a document: the cost settings, the list and
+ * input types and the possible types used by its selections, and the
+ * values of its arguments, the variables being kept as references.
+ * The plan is serializable, so it can be stored with a persisted query
+ * and evaluated with the variables of each request.
+ */
+export function compileCostPlan ({
+  schema,
+  document,
+  ...options
+}: CostPlanOptions): CostPlan {
+  const ast = typeof document === 'string' ? parse(document) : document
+  const analysis = new CostAnalysis(
+    new ValidationContext(schema, ast, new TypeInfo(schema)),
+    { ...options, maximumCost: Infinity }
+  )
+  analysis.keepVariables = true
+
+  const operations = []
+  ast.definitions.forEach(definition => {
+    if (definition.kind === Kind.OPERATION_DEFINITION) {
+      operations.push(analysis.compileOperation(definition))
+    }
+  })
+  return { ...analysis.plan, operations }
+}
+
+/**
+ * Computes the cost of a compiled document with the variables of a
+ * request, the result is the one of the cost analysis.
+ */
+export function evaluateCostPlan (
+  plan: CostPlan,
+  options: CostPlanEvaluationOptions = {}
+): QueryCost {
+  return new CostPlanEvaluator(plan, options).evaluate()
+}
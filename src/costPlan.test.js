@@ -0,0 +1,353 @@
+import { makeExecutableSchema } from 'graphql-tools'
+import getQueryCost from './getQueryCost'
+import { costDirectiveTypeDefs, costBudgetDirectiveTypeDefs } from './costDirective'
+import { compileCostPlan, evaluateCostPlan } from './costPlan'
+
+const typeDefs = `
+  interface Node {
+    id: ID
+  }
+
+  type Comment implements Node {
+    id: ID
+    text: String @cost(complexity: 1)
+  }
+
+  type Post implements Node {
+    id: ID
+    title: String @cost(complexity: 0.5)
+    comments(limit: Int = 5): [Comment] @cost(complexity: 2, multipliers: ["limit"])
+  }
+
+  union SearchResult = Post | Comment
+
+  type PostEdge {
+    node: Post
+  }
+
+  type PostConnection {
+    edges: [PostEdge]
+    totalCount: Int @cost(complexity: 1, useMultipliers: false)
+  }
+
+  enum SearchOrder {
+    DATE
+    RELEVANCE
+  }
+
+  input TagInput @cost(complexity: 2) {
+    name: String
+    aliases: [String] @cost(complexity: 1)
+  }
+
+  input PostInput {
+    title: String @cost(complexity: 1)
+    tags: [TagInput]
+  }
+
+  type Query {
+    posts(limit: Int, offset: Int): [Post] @cost(complexity: 3, multipliers: ["limit"])
+    feed(first: Int, last: Int): PostConnection @cost(complexity: 2)
+    search(query: String, orderBy: SearchOrder, filters: SearchFilters): [SearchResult] @cost(
+      complexity: 4
+      multipliers: ["filters.limit"]
+      conditions: [{ when: { orderBy: RELEVANCE }, complexity: 10 }]
+    )
+    node(id: ID): Node
+    members(organization: String): [String] @cost(costFn: "members")
+  }
+
+  input SearchFilters {
+    limit: Int = 10
+    ids: [ID]
+  }
+
+  type Mutation {
+    createPosts(input: [PostInput!]!): [Post] @cost(complexity: 5)
+  }
+
+  type Subscription {
+    postAdded(limit: Int): Post @cost(complexity: 2, eventRate: 10, multipliers: ["limit"])
+  }
+`
+
+const schema = makeExecutableSchema({
+  typeDefs: [costDirectiveTypeDefs, costBudgetDirectiveTypeDefs, typeDefs],
+  resolverValidationOptions: { requireResolversForResolveType: false }
+})
+
+const document = `
+  query posts($limit: Int, $commentLimit: Int, $withComments: Boolean!) {
+    posts(limit: $limit) {
+      ...postFields
+      comments(limit: $commentLimit) @include(if: $withComments) {
+        text
+      }
+    }
+    feed(first: $limit) {
+      totalCount
+      edges {
+        node {
+          title
+        }
+      }
+    }
+  }
+
+  query search($order: SearchOrder, $limit: Int, $skipComments: Boolean!) {
+    search(query: "graphql", orderBy: $order, filters: { limit: $limit, ids: ["1", "2"] }) {
+      ... on Node {
+        id
+      }
+      ... on Post {
+        title
+      }
+      ... on Comment @skip(if: $skipComments) {
+        text
+      }
+    }
+    node(id: "1") {
+      ...postFields
+      ... on Comment {
+        text
+      }
+    }
+    __typename
+  }
+
+  mutation createPosts($posts: [PostInput!]!, $tag: TagInput) {
+    createPosts(input: $posts) {
+      title
+    }
+    other: createPosts(input: [{ title: "a", tags: [$tag, { name: "b" }] }]) {
+      title
+    }
+  }
+
+  subscription postAdded($limit: Int) @costBudget(max: 500) {
+    postAdded(limit: $limit) {
+      title
+      comments {
+        text
+      }
+    }
+  }
+
+  fragment postFields on Post {
+    title
+    comments {
+      text
+    }
+  }
+`
+
+// the plan is stored as JSON with the persisted query
+const compile = options =>
+  JSON.parse(JSON.stringify(compileCostPlan({ schema, document, ...options })))
+
+// the result of the full cost analysis, without the breakdown
+const analyze = options => {
+  const { breakdown, ...result } = getQueryCost({ schema, document, ...options })
+  return result
+}
+
+describe('Cost plan Tests', () => {
+  const requests = [
+    {
+      operationName: 'posts',
+      variables: { limit: 10, commentLimit: 3, withComments: true }
+    },
+    { operationName: 'posts', variables: { withComments: false } },
+    {
+      operationName: 'search',
+      variables: { order: 'RELEVANCE', limit: 20, skipComments: false }
+    },
+    { operationName: 'search', variables: { order: 'DATE', skipComments: true } },
+    {
+      operationName: 'createPosts',
+      variables: {
+        posts: [
+          { title: 'a', tags: [{ name: 'x', aliases: ['y', 'z'] }] },
+          { title: 'b' }
+        ],
+        tag: { name: 'c', aliases: ['d'] }
+      }
+    },
+    { operationName: 'postAdded', variables: { limit: 3 } },
+    {
+      variables: { limit: 2, withComments: true, skipComments: false, posts: [] }
+    }
+  ]
+
+  requests.forEach(({ operationName, variables }) => {
+    test(`should give the result of the cost analysis for ${operationName ||
+      'the document'} with ${JSON.stringify(variables)}`, () => {
+      const plan = compile()
+
+      expect(evaluateCostPlan(plan, { operationName, variables })).toEqual(
+        analyze({ operationName, variables })
+      )
+    })
+  })
+
+  test('should give the breakdown of the cost analysis', () => {
+    const plan = compile()
+    const options = {
+      operationName: 'search',
+      variables: { order: 'RELEVANCE', limit: 20, skipComments: false }
+    }
+
+    expect(evaluateCostPlan(plan, { ...options, breakdown: true })).toEqual(
+      getQueryCost({ schema, document, ...options })
+    )
+  })
+
+  test('should apply the static options when compiling the plan', () => {
+    const options = {
+      defaultCost: 1,
+      defaultListSize: 4,
+      connections: { defaultSize: 7 },
+      fragmentCostMode: 'max',
+      costMap: {
+        Query: {
+          posts: { complexity: 2, multipliers: ['limit'], maxMultiplier: 5 },
+          search: {
+            complexity: 1,
+            conditions: [{ when: { 'filters.limit': 1 }, complexity: 50 }]
+          }
+        },
+        Post: { __type: { complexity: 3 } },
+        TagInput: { __type: { complexity: 4 } }
+      },
+      costPrecedence: ['costMap', 'typeCostMap', 'fieldDirective']
+    }
+    const plan = compile(options)
+
+    requests.forEach(({ operationName, variables }) => {
+      expect(evaluateCostPlan(plan, { operationName, variables })).toEqual(
+        analyze({ ...options, operationName, variables })
+      )
+    })
+    expect(
+      evaluateCostPlan(plan, {
+        operationName: 'search',
+        variables: { limit: 1, skipComments: false }
+      })
+    ).toEqual(
+      analyze({
+        ...options,
+        operationName: 'search',
+        variables: { limit: 1, skipComments: false }
+      })
+    )
+  })
+
+  test('should report the exceeded limits', () => {
+    const plan = compile()
+    const options = {
+      operationName: 'posts',
+      variables: { limit: 100, withComments: true },
+      maximumCost: 100,
+      maximumDepth: 2,
+      maximumTypeNodes: { Comment: 1 },
+      rounding: 'ceil'
+    }
+    const { errors, ...result } = evaluateCostPlan(plan, options)
+    const { errors: expectedErrors, ...expected } = analyze(options)
+
+    expect(result).toEqual(expected)
+    expect(errors.map(({ message }) => message)).toEqual(
+      expectedErrors.map(({ message }) => message)
+    )
+    expect(errors.length).toEqual(3)
+  })
+
+  test('should allow the budget override of an operation', () => {
+    const plan = compile()
+    const allowBudgetOverride = jest.fn(() => true)
+    const options = {
+      operationName: 'postAdded',
+      variables: { limit: 100 },
+      maximumCost: 100,
+      allowBudgetOverride,
+      context: { user: 'alice' }
+    }
+
+    const result = evaluateCostPlan(plan, options)
+    expect(result).toEqual(analyze(options))
+    expect(result.budgetOverride).toEqual({ budget: 500, allowed: true })
+    expect(allowBudgetOverride).toHaveBeenCalledWith(
+      { user: 'alice' },
+      {
+        operationName: 'postAdded',
+        operationType: 'subscription',
+        budget: 500,
+        maximumCost: 100
+      }
+    )
+  })
+
+  test('should call the cost functions with the field arguments', () => {
+    const plan = JSON.parse(
+      JSON.stringify(
+        compileCostPlan({
+          schema,
+          document: `query members($organization: String) {
+            members(organization: $organization)
+          }`
+        })
+      )
+    )
+    const members = jest.fn(({ organization }) =>
+      organization === 'big' ? 100 : 1
+    )
+
+    expect(
+      evaluateCostPlan(plan, {
+        variables: { organization: 'big' },
+        costFunctions: { members },
+        context: 'context'
+      }).cost
+    ).toEqual(100)
+    expect(members).toHaveBeenCalledWith({ organization: 'big' }, 'context', {
+      fieldName: 'members',
+      parentTypeName: 'Query',
+      variableValues: { organization: 'big' }
+    })
+    expect(
+      evaluateCostPlan(plan, {
+        variables: { organization: 'big' },
+        resolvedCosts: { 'Query.members({"organization":"big"})': 20 }
+      }).cost
+    ).toEqual(20)
+    expect(() =>
+      evaluateCostPlan(plan, {
+        costFunctions: { members: () => Promise.resolve(1) }
+      })
+    ).toThrow(
+      'The cost function members returned a promise, ' +
+        'resolve it in the resolvedCosts option'
+    )
+
+    const { cost, errors } = evaluateCostPlan(plan, { costFunctions: {} })
+    expect(errors.map(({ message }) => message)).toEqual([
+      'Unknown cost function members'
+    ])
+    expect(cost).toEqual(0)
+  })
+
+  test('should not cost the fragments spreading themselves', () => {
+    const plan = compileCostPlan({
+      schema,
+      document: `
+        query { node(id: "1") { ...loop } }
+        fragment loop on Post { title comments { text } ...loop }
+      `
+    })
+
+    const { errors } = evaluateCostPlan(plan)
+    expect(errors.map(({ message }) => message)).toEqual([
+      'Cannot compute the cost of the fragment "loop" spreading itself'
+    ])
+  })
+})
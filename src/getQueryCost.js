@@ -0,0 +1,83 @@
+// @flow
+import {
+  GraphQLError,
+  Kind,
+  parse,
+  visit,
+  visitWithTypeInfo,
+  TypeInfo,
+  ValidationContext
+} from 'graphql'
+import CostAnalysis from './costAnalysis'
+
+import type { GraphQLSchema, DocumentNode } from 'graphql'
+import type {
+  CostAnalysisOptions,
+  CostAnalysisResult,
+  MaximumCost
+} from './costAnalysis'
+
+export type GetQueryCostOptions = $Diff<
+  CostAnalysisOptions,
+  { maximumCost: MaximumCost }
+> & {
+  schema: GraphQLSchema,
+  document: DocumentNode | string,
+  maximumCost?: MaximumCost
+}
+
+export type QueryCost = CostAnalysisResult & {
+  errors: $ReadOnlyArray<GraphQLError>
+}
+
+// runs the cost analysis visitor on a document outside of the validation,
+// prepare is called with the visitor before the document is visited.
+// The syntax errors of the document are reported like the cost errors.
+export function analyzeDocument (
+  { schema, document, maximumCost, ...options }: GetQueryCostOptions,
+  prepare?: (visitor: CostAnalysis) => void
+): { visitor: CostAnalysis, context: ValidationContext } {
+  let ast = { kind: Kind.DOCUMENT, definitions: [] }
+  let syntaxError
+  try {
+    ast = typeof document === 'string' ? parse(document) : document
+  } catch (e) {
+    if (!(e instanceof GraphQLError)) {
+      throw e
+    }
+    syntaxError = e
+  }
+  const typeInfo = new TypeInfo(schema)
+  const context = new ValidationContext(schema, ast, typeInfo)
+  if (syntaxError) {
+    context.reportError(syntaxError)
+  }
+  const visitor = new CostAnalysis(context, {
+    ...options,
+    maximumCost: maximumCost === undefined ? Infinity : maximumCost
+  })
+
+  if (prepare) {
+    prepare(visitor)
+  }
+  visit(ast, visitWithTypeInfo(typeInfo, (visitor: Object)))
+
+  return { visitor, context }
+}
+
+/**
+ * Computes the cost of a document without running the validation rule,
+ * the errors contain the maximum cost errors only if a maximumCost is given.
+ * The breakdown is computed unless the breakdown option is false.
+ */
+export default function getQueryCost (options: GetQueryCostOptions): QueryCost {
+  const { visitor, context } = analyzeDocument({
+    ...options,
+    breakdown: options.breakdown !== false
+  })
+
+  return {
+    ...visitor.getResult(),
+    errors: context.getErrors()
+  }
+}
@@ -0,0 +1,106 @@
+import { parse } from 'graphql'
+import { makeExecutableSchema } from 'graphql-tools'
+import getQueryCost from './getQueryCost'
+
+const typeDefs = `
+  type Post {
+    title: String @cost(complexity: 1)
+  }
+
+  type Query {
+    posts(limit: Int): [Post] @cost(complexity: 2, multipliers: ["limit"])
+    count: Int @cost(complexity: 3, useMultipliers: false)
+  }
+`
+
+const schema = makeExecutableSchema({ typeDefs })
+
+describe('getQueryCost Tests', () => {
+  test('should compute the cost and the breakdown of a document', () => {
+    const { cost, breakdown, errors } = getQueryCost({
+      schema,
+      document: parse(`
+        query posts($limit: Int) {
+          posts(limit: $limit) {
+            title
+          }
+          count
+        }
+      `),
+      variables: { limit: 10 }
+    })
+
+    expect(cost).toEqual(2 * 10 + 10 + 3)
+    expect(breakdown.children.posts.subtotal).toEqual(2 * 10 + 10)
+    expect(breakdown.children.count.cost).toEqual(3)
+    expect(errors).toEqual([])
+  })
+
+  test('should accept a document as a string and select the operation by name', () => {
+    const { cost, operations } = getQueryCost({
+      schema,
+      document: `
+        query posts {
+          posts(limit: 10) {
+            title
+          }
+        }
+        query count {
+          count
+        }
+      `,
+      operationName: 'count'
+    })
+
+    expect(cost).toEqual(3)
+    expect(operations).toEqual({ count: 3 })
+  })
+
+  test('should only report the maximum cost errors when a maximumCost is given', () => {
+    const document = `
+      query {
+        posts(limit: 10) {
+          title
+        }
+      }
+    `
+
+    expect(getQueryCost({ schema, document }).errors).toEqual([])
+
+    const { errors } = getQueryCost({ schema, document, maximumCost: 10 })
+    expect(errors.map(error => error.message)).toEqual([
+      'The query exceeds the maximum cost of 10. Actual cost is 30'
+    ])
+  })
+
+  test('should not compute the breakdown when the breakdown option is false', () => {
+    const result = getQueryCost({
+      schema,
+      document: `query { posts(limit: 10) { title } }`,
+      breakdown: false
+    })
+
+    expect(result.cost).toEqual(2 * 10 + 10)
+    expect(result.breakdown).toBeUndefined()
+  })
+
+  test('should report the syntax errors of the document', () => {
+    const { cost, errors } = getQueryCost({ schema, document: `query {` })
+
+    expect(cost).toEqual(0)
+    expect(errors.map(error => error.message)).toEqual([
+      'Syntax Error: Expected Name, found <EOF>'
+    ])
+  })
+
+  test('should not limit the cost when the maximumCost is undefined', () => {
+    const { cost, errors } = getQueryCost({
+      schema,
+      document: `query { posts(limit: 10) { title } }`,
+      maximumCost: undefined
+    })
+
+    expect(cost).toEqual(2 * 10 + 10)
+    expect(errors).toEqual([])
+  })
+})
@@ -1,10 +1,36 @@
 // @flow
 import CostAnalysis from './costAnalysis'
-import type { CostAnalysisOptions } from './CostAnalysis'
+import type { CostAnalysisOptions } from './costAnalysis'
 import type {
   ValidationContext
 } from 'graphql'
 
+export {
+  costDirective,
+  costDirectiveTypeDefs,
+  costBudgetDirective,
+  costBudgetDirectiveTypeDefs
+} from './costDirective'
+export { default as validateCostConfiguration } from './validateCostConfiguration'
+export { default as getQueryCost } from './getQueryCost'
+export {
+  resolveCostFunctions,
+  createAsyncCostAnalysis,
+  getQueryCostAsync
+} from './asyncCostAnalysis'
+export {
+  default as createCostRateLimiter,
+  MemoryStore
+} from './rateLimiter'
+export {
+  getCostExtensions,
+  createCostExtensions,
+  createApolloCostPlugin
+} from './costExtensions'
+export { createActualCostTracker, measureActualCost } from './actualCost'
+export { default as createSubscriptionCostLimiter } from './subscriptionLimiter'
+export { compileCostPlan, evaluateCostPlan } from './costPlan'
+
 export default function createCostAnalysis (options: CostAnalysisOptions): Function {
   return (context: ValidationContext): CostAnalysis => new CostAnalysis(context, options)
 }
@@ -0,0 +1,180 @@
+// @flow
+import assert from 'assert'
+import { GraphQLError } from 'graphql'
+
+// resetAt is the time when the bucket is full again, a full bucket
+// being the same as a missing one
+export type TokenBucket = {
+  tokens: number,
+  updatedAt: number,
+  resetAt: number
+}
+
+// update replaces the bucket of a key by the one returned by updateBucket,
+// atomically: the concurrent requests of a key must not read the same
+// bucket. It can return a promise, so the buckets can be stored in an
+// external backend.
+export interface RateLimitStore {
+  update(
+    key: string,
+    updateBucket: (bucket: ?TokenBucket) => TokenBucket
+  ): TokenBucket | Promise<TokenBucket>;
+}
+
+export type RateLimitState = {
+  key: string,
+  cost: number,
+  capacity: number,
+  remaining: number,
+  resetAt: number
+}
+
+export type CostRateLimiterOptions = {
+  capacity: number,
+  refillPerSecond: number,
+  keyFn: (context: mixed) => string,
+  store?: RateLimitStore
+}
+
+export type CostRateLimiter = {
+  consume: (context: mixed, cost: number) => Promise<RateLimitState>
+}
+
+function rateLimitMessage (cost, remaining, retryAfter) {
+  return (
+    `The query cost of ${cost} exceeds the remaining rate limit of ${remaining}. ` +
+    (retryAfter === null
+      ? `The query cost exceeds the rate limit capacity`
+      : `Retry after ${retryAfter} seconds`)
+  )
+}
+
+// the buckets are updated synchronously, so the updates of a key are
+// serialized. The full buckets are evicted every sweepInterval milliseconds.
+export class MemoryStore {
+  buckets: Map<string, TokenBucket>
+  sweepInterval: number
+  sweptAt: number
+
+  constructor ({ sweepInterval = 60000 }: { sweepInterval?: number } = {}) {
+    this.buckets = new Map()
+    this.sweepInterval = sweepInterval
+    this.sweptAt = Date.now()
+  }
+
+  get (key: string): ?TokenBucket {
+    return this.buckets.get(key)
+  }
+
+  update (
+    key: string,
+    updateBucket: (bucket: ?TokenBucket) => TokenBucket
+  ): TokenBucket {
+    const now = Date.now()
+    if (now - this.sweptAt >= this.sweepInterval) {
+      this.sweep(now)
+    }
+
+    const bucket = updateBucket(this.buckets.get(key))
+    if (bucket.resetAt > now) {
+      this.buckets.set(key, bucket)
+    } else {
+      this.buckets.delete(key)
+    }
+    return bucket
+  }
+
+  sweep (now: number) {
+    this.sweptAt = now
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.resetAt <= now) {
+        this.buckets.delete(key)
+      }
+    })
+  }
+}
+
+/**
+ * Creates a token bucket rate limiter draining the bucket of each key
+ * (computed from the request context) by the cost of the queries.
+ */
+export default function createCostRateLimiter ({
+  capacity,
+  refillPerSecond,
+  keyFn,
+  store = new MemoryStore()
+}: CostRateLimiterOptions): CostRateLimiter {
+  assert(
+    typeof capacity === 'number' && capacity > 0,
+    'Rate limit capacity must be a positive number'
+  )
+  assert(
+    typeof refillPerSecond === 'number' && refillPerSecond > 0,
+    'Rate limit refillPerSecond must be a positive number'
+  )
+  assert(typeof keyFn === 'function', 'Rate limit keyFn must be a function')
+
+  const getResetAt = (tokens: number, now: number): number =>
+    now + Math.ceil((capacity - tokens) / refillPerSecond * 1000)
+
+  const consumeTokens = (key: string, cost: number): Promise<RateLimitState> => {
+    // the updater can be called again by the stores retrying the
+    // conflicting updates, so the state is the one of the last call
+    let state = { key, cost, capacity, remaining: capacity, resetAt: 0 }
+    let tokens = capacity
+    let allowed = true
+    const updateBucket = (bucket: ?TokenBucket): TokenBucket => {
+      const now = Date.now()
+      tokens = bucket
+        ? Math.min(
+          capacity,
+          bucket.tokens + (now - bucket.updatedAt) / 1000 * refillPerSecond
+        )
+        : capacity
+      allowed = cost <= tokens
+      const remaining = allowed ? tokens - cost : tokens
+      const resetAt = getResetAt(remaining, now)
+      state = {
+        key,
+        cost,
+        capacity,
+        remaining: Math.floor(remaining),
+        resetAt
+      }
+      return { tokens: remaining, updatedAt: now, resetAt }
+    }
+
+    return Promise.resolve(store.update(key, updateBucket)).then(() => {
+      if (allowed) {
+        return state
+      }
+
+      const retryAfter =
+        cost > capacity ? null : Math.ceil((cost - tokens) / refillPerSecond)
+      throw new GraphQLError(
+        rateLimitMessage(cost, state.remaining, retryAfter),
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        undefined,
+        {
+          cost,
+          capacity,
+          remaining: state.remaining,
+          resetAt: state.resetAt,
+          retryAfter
+        }
+      )
+    })
+  }
+
+  return {
+    consume (context: mixed, cost: number): Promise<RateLimitState> {
+      // the errors thrown by the keyFn and the store reject the promise
+      return Promise.resolve(context)
+        .then(keyFn)
+        .then(key => consumeTokens(key, cost))
+    }
+  }
+}
@@ -0,0 +1,172 @@
+import createCostRateLimiter, { MemoryStore } from './rateLimiter'
+
+describe('Cost rate limiter Tests', () => {
+  let now
+  beforeEach(() => {
+    now = 1000000
+    jest.spyOn(Date, 'now').mockImplementation(() => now)
+  })
+
+  afterEach(() => {
+    Date.now.mockRestore()
+  })
+
+  const createLimiter = (options = {}) =>
+    createCostRateLimiter({
+      capacity: 100,
+      refillPerSecond: 10,
+      keyFn: context => context.user,
+      ...options
+    })
+
+  test('should drain the bucket of each key by the query cost', async () => {
+    const limiter = createLimiter()
+
+    const state = await limiter.consume({ user: 'alice' }, 30)
+    expect(state).toEqual({
+      key: 'alice',
+      cost: 30,
+      capacity: 100,
+      remaining: 70,
+      resetAt: now + 3000
+    })
+    expect((await limiter.consume({ user: 'alice' }, 30)).remaining).toEqual(40)
+    expect((await limiter.consume({ user: 'bob' }, 30)).remaining).toEqual(70)
+  })
+
+  test('should refill the bucket over time up to its capacity', async () => {
+    const limiter = createLimiter()
+
+    await limiter.consume({ user: 'alice' }, 80)
+    now += 5000
+    expect((await limiter.consume({ user: 'alice' }, 0)).remaining).toEqual(70)
+    now += 60000
+    expect((await limiter.consume({ user: 'alice' }, 0)).remaining).toEqual(100)
+  })
+
+  test('should reject with retryAfter and remaining budget extensions', async () => {
+    const limiter = createLimiter()
+
+    await limiter.consume({ user: 'alice' }, 90)
+    await expect(limiter.consume({ user: 'alice' }, 25)).rejects.toMatchObject({
+      message:
+        'The query cost of 25 exceeds the remaining rate limit of 10. ' +
+        'Retry after 2 seconds',
+      extensions: {
+        cost: 25,
+        capacity: 100,
+        remaining: 10,
+        resetAt: now + 9000,
+        retryAfter: 2
+      }
+    })
+    // a rejected query does not consume the bucket
+    expect((await limiter.consume({ user: 'alice' }, 10)).remaining).toEqual(0)
+  })
+
+  test('should reject the queries exceeding the capacity without retryAfter', async () => {
+    const limiter = createLimiter()
+
+    await expect(limiter.consume({ user: 'alice' }, 101)).rejects.toMatchObject({
+      message:
+        'The query cost of 101 exceeds the remaining rate limit of 100. ' +
+        'The query cost exceeds the rate limit capacity',
+      extensions: { retryAfter: null }
+    })
+  })
+
+  test('should not let concurrent queries consume the same tokens', async () => {
+    const limiter = createLimiter()
+
+    const results = await Promise.all(
+      [1, 2, 3].map(() =>
+        limiter
+          .consume({ user: 'alice' }, 80)
+          .then(() => 'allowed', () => 'rejected')
+      )
+    )
+    expect(results).toEqual(['allowed', 'rejected', 'rejected'])
+  })
+
+  test('should evict the full buckets from the memory store', async () => {
+    const store = new MemoryStore({ sweepInterval: 1000 })
+    const limiter = createLimiter({ store })
+
+    await limiter.consume({ user: 'alice' }, 10)
+    await limiter.consume({ user: 'bob' }, 50)
+    // a query costing nothing leaves a full bucket
+    await limiter.consume({ user: 'carol' }, 0)
+    expect([...store.buckets.keys()]).toEqual(['alice', 'bob'])
+
+    now += 1000
+    await limiter.consume({ user: 'carol' }, 0)
+    expect([...store.buckets.keys()]).toEqual(['bob'])
+    expect((await limiter.consume({ user: 'alice' }, 0)).remaining).toEqual(100)
+  })
+
+  test('should support asynchronous stores', async () => {
+    const buckets = new MemoryStore()
+    const store = {
+      update: jest.fn((key, updateBucket) =>
+        Promise.resolve(buckets.update(key, updateBucket))
+      )
+    }
+    const limiter = createLimiter({ store })
+
+    await limiter.consume({ user: 'alice' }, 30)
+    expect((await limiter.consume({ user: 'alice' }, 30)).remaining).toEqual(40)
+    expect(buckets.get('alice')).toEqual({
+      tokens: 40,
+      updatedAt: now,
+      resetAt: now + 6000
+    })
+  })
+
+  test('should return the state of the last update of the retrying stores', async () => {
+    const buckets = new MemoryStore()
+    const store = {
+      // the first update conflicts with another request consuming 50 tokens
+      update: (key, updateBucket) => {
+        updateBucket(buckets.get(key))
+        buckets.update(key, () => ({ tokens: 50, updatedAt: now, resetAt: now + 5000 }))
+        return buckets.update(key, updateBucket)
+      }
+    }
+    const limiter = createLimiter({ store })
+
+    await expect(limiter.consume({ user: 'alice' }, 60)).rejects.toMatchObject({
+      extensions: { remaining: 50, retryAfter: 1 }
+    })
+  })
+
+  test('should reject the errors of the keyFn and of the store', async () => {
+    const limiter = createLimiter()
+    const consume = limiter.consume(null, 30)
+
+    expect(consume).toBeInstanceOf(Promise)
+    await expect(consume).rejects.toThrow(TypeError)
+
+    const failingLimiter = createLimiter({
+      store: {
+        update: () => {
+          throw new Error('The store is unavailable')
+        }
+      }
+    })
+    await expect(failingLimiter.consume({ user: 'alice' }, 30)).rejects.toThrow(
+      'The store is unavailable'
+    )
+  })
+
+  test('assert the rate limiter options are valid', () => {
+    expect(() => createLimiter({ capacity: 0 })).toThrow(
+      'Rate limit capacity must be a positive number'
+    )
+    expect(() => createLimiter({ refillPerSecond: -1 })).toThrow(
+      'Rate limit refillPerSecond must be a positive number'
+    )
+    expect(() => createLimiter({ keyFn: 'user' })).toThrow(
+      'Rate limit keyFn must be a function'
+    )
+  })
+})
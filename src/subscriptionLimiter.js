@@ -0,0 +1,70 @@
+// @flow
+import assert from 'assert'
+import { GraphQLError } from 'graphql'
+
+export type SubscriptionCostLimiterOptions = {
+  maximumActiveCost: number
+}
+
+export type SubscriptionCostLimiter = {
+  add: (id: string, cost: number) => number,
+  remove: (id: string) => void,
+  getActiveCost: () => number
+}
+
+function subscriptionLimitMessage (cost, remaining) {
+  return (
+    `The subscription cost of ${cost} exceeds the remaining active ` +
+    `subscription cost of ${remaining}`
+  )
+}
+
+/**
+ * Creates a limiter of the total cost of the active subscriptions of a
+ * connection, a subscription is added when it starts and removed when it
+ * completes.
+ */
+export default function createSubscriptionCostLimiter ({
+  maximumActiveCost
+}: SubscriptionCostLimiterOptions): SubscriptionCostLimiter {
+  assert(
+    typeof maximumActiveCost === 'number' && maximumActiveCost > 0,
+    'Maximum active subscription cost must be a positive number'
+  )
+
+  const subscriptions: Map<string, number> = new Map()
+  const getActiveCost = (): number => {
+    let activeCost = 0
+    subscriptions.forEach(cost => {
+      activeCost += cost
+    })
+    return activeCost
+  }
+
+  return {
+    // returns the active cost including the added subscription, a
+    // subscription added again with the same id replaces the previous one
+    add (id: string, cost: number): number {
+      const activeCost = getActiveCost() - (subscriptions.get(id) || 0)
+      if (activeCost + cost > maximumActiveCost) {
+        throw new GraphQLError(
+          subscriptionLimitMessage(cost, maximumActiveCost - activeCost),
+          undefined,
+          undefined,
+          undefined,
+          undefined,
+          undefined,
+          { cost, maximumActiveCost, activeCost }
+        )
+      }
+      subscriptions.set(id, cost)
+      return activeCost + cost
+    },
+
+    remove (id: string) {
+      subscriptions.delete(id)
+    },
+
+    getActiveCost
+  }
+}
@@ -0,0 +1,45 @@
+import createSubscriptionCostLimiter from './subscriptionLimiter'
+
+describe('Subscription cost limiter Tests', () => {
+  test('should add up the cost of the active subscriptions', () => {
+    const limiter = createSubscriptionCostLimiter({ maximumActiveCost: 100 })
+
+    expect(limiter.add('1', 30)).toEqual(30)
+    expect(limiter.add('2', 50)).toEqual(80)
+    // a subscription added again replaces the previous one
+    expect(limiter.add('2', 60)).toEqual(90)
+    limiter.remove('1')
+    expect(limiter.getActiveCost()).toEqual(60)
+  })
+
+  test('should refuse the subscriptions exceeding the maximum active cost', () => {
+    const limiter = createSubscriptionCostLimiter({ maximumActiveCost: 100 })
+    limiter.add('1', 80)
+
+    let error
+    try {
+      limiter.add('2', 30)
+    } catch (e) {
+      error = e
+    }
+    expect(error.message).toEqual(
+      'The subscription cost of 30 exceeds the remaining active ' +
+        'subscription cost of 20'
+    )
+    expect(error.extensions).toEqual({
+      cost: 30,
+      maximumActiveCost: 100,
+      activeCost: 80
+    })
+    expect(limiter.getActiveCost()).toEqual(80)
+
+    limiter.remove('1')
+    expect(limiter.add('2', 30)).toEqual(30)
+  })
+
+  test('assert the maximum active cost is valid', () => {
+    expect(() => createSubscriptionCostLimiter({ maximumActiveCost: 0 })).toThrow(
+      'Maximum active subscription cost must be a positive number'
+    )
+  })
+})
@@ -0,0 +1,639 @@
+// @flow
+import {
+  GraphQLError,
+  GraphQLObjectType,
+  GraphQLInterfaceType,
+  GraphQLUnionType,
+  GraphQLInputObjectType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLInt,
+  GraphQLFloat,
+  Kind,
+  getNamedType
+} from 'graphql'
+import { valueFromASTUntyped } from 'graphql/utilities/valueFromASTUntyped'
+import { TYPE_COST_KEY, COMBINERS } from './costAnalysis'
+
+import type {
+  GraphQLSchema,
+  GraphQLField,
+  GraphQLFieldMap,
+  GraphQLArgument,
+  GraphQLInputType,
+  GraphQLNamedType,
+  DirectiveNode
+} from 'graphql'
+
+export type CostConfigurationOptions = {
+  costMap?: Object,
+  complexityRange?: { min: number, max: number },
+  combiners?: { [name: string]: Function },
+  costFunctions?: { [name: string]: Function }
+}
+
+type CostSettings = {
+  complexity?: mixed,
+  complexityLiteral?: string,
+  multipliers?: mixed,
+  multiplier?: mixed,
+  assumedSize?: mixed,
+  combiner?: mixed,
+  maxMultiplier?: mixed,
+  costFn?: mixed,
+  eventRate?: mixed,
+  conditions?: mixed,
+  weight?: mixed,
+  node?: ?DirectiveNode
+}
+
+function getCostDirective (
+  astNode: ?{ +directives?: ?$ReadOnlyArray<DirectiveNode> }
+): ?DirectiveNode {
+  const directives = astNode && astNode.directives
+  return directives
+    ? directives.find(directive => directive.name.value === 'cost')
+    : undefined
+}
+
+function getSettingsFromDirective (directive: DirectiveNode): CostSettings {
+  const settings: CostSettings = { node: directive }
+  ;(directive.arguments || []).forEach(arg => {
+    const { value } = arg
+    switch (arg.name.value) {
+      case 'complexity':
+        if (value.kind === Kind.INT || value.kind === Kind.FLOAT) {
+          settings.complexity = Number(value.value)
+        } else {
+          settings.complexityLiteral = value.kind
+        }
+        break
+      case 'multipliers':
+        settings.multipliers =
+          value.kind === Kind.LIST
+            ? value.values.map(
+              node => (node.kind === Kind.STRING ? node.value : undefined)
+            )
+            : []
+        break
+      case 'multiplier':
+        settings.multiplier =
+          value.kind === Kind.STRING ? value.value : undefined
+        break
+      case 'assumedSize':
+        settings.assumedSize =
+          value.kind === Kind.INT ? Number(value.value) : null
+        break
+      case 'combiner':
+        settings.combiner = value.kind === Kind.STRING ? value.value : null
+        break
+      case 'maxMultiplier':
+        settings.maxMultiplier =
+          value.kind === Kind.INT ? Number(value.value) : null
+        break
+      case 'costFn':
+        settings.costFn = value.kind === Kind.STRING ? value.value : null
+        break
+      case 'conditions':
+        settings.conditions =
+          value.kind === Kind.LIST ? valueFromASTUntyped(value) : null
+        break
+      case 'weight':
+        settings.weight =
+          value.kind === Kind.INT || value.kind === Kind.FLOAT
+            ? Number(value.value)
+            : null
+        break
+      case 'eventRate':
+        settings.eventRate =
+          value.kind === Kind.INT || value.kind === Kind.FLOAT
+            ? Number(value.value)
+            : null
+        break
+    }
+  })
+  return settings
+}
+
+function getFields (
+  type: ?GraphQLNamedType
+): ?GraphQLFieldMap<*, *> {
+  if (
+    type instanceof GraphQLObjectType ||
+    type instanceof GraphQLInterfaceType
+  ) {
+    return type.getFields()
+  }
+}
+
+function isMultiplierType (type: GraphQLInputType): boolean {
+  const nullableType = type instanceof GraphQLNonNull ? type.ofType : type
+  return (
+    nullableType instanceof GraphQLList ||
+    nullableType === GraphQLInt ||
+    nullableType === GraphQLFloat
+  )
+}
+
+// a multiplier or a condition is a path like "filters.limit" starting with
+// an argument name and followed by input fields names
+function getArgumentPathType (
+  path: mixed,
+  args: Array<GraphQLArgument>
+): ?GraphQLInputType {
+  if (typeof path !== 'string') {
+    return
+  }
+  const [argName, ...inputFieldNames] = path.split('.')
+  const arg = args.find(arg => arg.name === argName)
+  if (!arg) {
+    return
+  }
+
+  let type = arg.type
+  for (const inputFieldName of inputFieldNames) {
+    const nullableType = type instanceof GraphQLNonNull ? type.ofType : type
+    if (!(nullableType instanceof GraphQLInputObjectType)) {
+      return
+    }
+    const inputField = nullableType.getFields()[inputFieldName]
+    if (!inputField) {
+      return
+    }
+    type = inputField.type
+  }
+  return type
+}
+
+function resolvesToMultiplier (
+  path: mixed,
+  args: Array<GraphQLArgument>
+): boolean {
+  const type = getArgumentPathType(path, args)
+  return !!type && isMultiplierType(type)
+}
+
+function validateComplexity (
+  settings: CostSettings,
+  coordinate: string,
+  options: CostConfigurationOptions
+): Array<GraphQLError> {
+  const { complexity: value, complexityLiteral, node } = settings
+  if (complexityLiteral) {
+    return [
+      new GraphQLError(
+        `The complexity of ${coordinate} must be a number literal, ` +
+          `got ${complexityLiteral}`,
+        node ? [node] : undefined
+      )
+    ]
+  }
+
+  if (value === undefined) {
+    return []
+  }
+  if (typeof value !== 'number') {
+    return [
+      new GraphQLError(
+        `The complexity of ${coordinate} must be a number`,
+        node ? [node] : undefined
+      )
+    ]
+  }
+
+  const { complexityRange } = options
+  if (
+    complexityRange &&
+    (value < complexityRange.min || value > complexityRange.max)
+  ) {
+    return [
+      new GraphQLError(
+        `The complexity of ${coordinate} must be between ` +
+          `${complexityRange.min} and ${complexityRange.max}, got ${value}`,
+        node ? [node] : undefined
+      )
+    ]
+  }
+  return []
+}
+
+function validateMultipliers (
+  settings: CostSettings,
+  coordinate: string,
+  fields: Array<GraphQLField<*, *>>
+): Array<GraphQLError> {
+  if (
+    settings.multipliers !== undefined &&
+    !Array.isArray(settings.multipliers)
+  ) {
+    return [
+      new GraphQLError(
+        `The multipliers of ${coordinate} must be a list of argument paths`,
+        settings.node ? [settings.node] : undefined
+      )
+    ]
+  }
+  const multipliers = [
+    ...(settings.multipliers || []),
+    ...(settings.multiplier !== undefined ? [settings.multiplier] : [])
+  ]
+
+  return multipliers
+    .filter(multiplier =>
+      fields.some(field => !resolvesToMultiplier(multiplier, field.args))
+    )
+    .map(
+      multiplier =>
+        new GraphQLError(
+          `The multiplier ${JSON.stringify(multiplier) || 'undefined'} ` +
+            `of ${coordinate} does not resolve to an argument or input field ` +
+            `of a numeric or list type`,
+          settings.node ? [settings.node] : undefined
+        )
+    )
+}
+
+function validateAssumedSize (
+  settings: CostSettings,
+  coordinate: string
+): Array<GraphQLError> {
+  const { assumedSize, node } = settings
+  if (
+    assumedSize === undefined ||
+    (typeof assumedSize === 'number' && assumedSize >= 0)
+  ) {
+    return []
+  }
+  return [
+    new GraphQLError(
+      `The assumed size of ${coordinate} must be a positive integer`,
+      node ? [node] : undefined
+    )
+  ]
+}
+
+function validateCombiner (
+  settings: CostSettings,
+  coordinate: string,
+  options: CostConfigurationOptions
+): Array<GraphQLError> {
+  const { combiner, maxMultiplier, node } = settings
+  const errors = []
+  if (
+    combiner !== undefined &&
+    (typeof combiner !== 'string' ||
+      !{ ...COMBINERS, ...options.combiners }[combiner])
+  ) {
+    errors.push(
+      new GraphQLError(
+        `The combiner of ${coordinate} must be one of sum, max, min, product ` +
+          `or a registered combiner, got ${JSON.stringify(combiner) || 'undefined'}`,
+        node ? [node] : undefined
+      )
+    )
+  }
+  if (
+    maxMultiplier !== undefined &&
+    !(typeof maxMultiplier === 'number' && maxMultiplier > 0)
+  ) {
+    errors.push(
+      new GraphQLError(
+        `The maximum multiplier of ${coordinate} must be a positive number`,
+        node ? [node] : undefined
+      )
+    )
+  }
+  return errors
+}
+
+function validateCostFunction (
+  settings: CostSettings,
+  coordinate: string,
+  options: CostConfigurationOptions
+): Array<GraphQLError> {
+  const { costFn, node } = settings
+  const costFunctions = options.costFunctions || {}
+  if (
+    costFn === undefined ||
+    (typeof costFn === 'string' && typeof costFunctions[costFn] === 'function')
+  ) {
+    return []
+  }
+  return [
+    new GraphQLError(
+      `The cost function ${JSON.stringify(costFn) || 'undefined'} ` +
+        `of ${coordinate} is not registered`,
+      node ? [node] : undefined
+    )
+  ]
+}
+
+function validateWeight (
+  settings: CostSettings,
+  coordinate: string
+): Array<GraphQLError> {
+  const { weight, node } = settings
+  if (weight === undefined || (typeof weight === 'number' && weight > 0)) {
+    return []
+  }
+  return [
+    new GraphQLError(
+      `The weight of ${coordinate} must be a positive number`,
+      node ? [node] : undefined
+    )
+  ]
+}
+
+function validateEventRate (
+  settings: CostSettings,
+  coordinate: string
+): Array<GraphQLError> {
+  const { eventRate, node } = settings
+  if (
+    eventRate === undefined ||
+    (typeof eventRate === 'number' && eventRate > 0)
+  ) {
+    return []
+  }
+  return [
+    new GraphQLError(
+      `The event rate of ${coordinate} must be a positive number`,
+      node ? [node] : undefined
+    )
+  ]
+}
+
+// the paths of the argument values of a condition, the input fields of
+// an object value being matched one by one
+function getConditionPaths (when: Object, prefix: string = ''): Array<string> {
+  const paths = []
+  Object.keys(when).forEach(key => {
+    const value = when[key]
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      paths.push(...getConditionPaths(value, `${prefix}${key}.`))
+    } else {
+      paths.push(`${prefix}${key}`)
+    }
+  })
+  return paths
+}
+
+function validateConditions (
+  settings: CostSettings,
+  coordinate: string,
+  fields: Array<GraphQLField<*, *>>,
+  options: CostConfigurationOptions
+): Array<GraphQLError> {
+  const { conditions, node } = settings
+  if (conditions === undefined) {
+    return []
+  }
+  const structureError = new GraphQLError(
+    `The conditions of ${coordinate} must be a list of ` +
+      `{ when, complexity } objects`,
+    node ? [node] : undefined
+  )
+  if (!Array.isArray(conditions)) {
+    return [structureError]
+  }
+  const parsedConditions = []
+  for (const condition of conditions) {
+    if (!condition || typeof condition !== 'object') {
+      return [structureError]
+    }
+    const { when, complexity } = condition
+    if (!when || typeof when !== 'object' || typeof complexity !== 'number') {
+      return [structureError]
+    }
+    parsedConditions.push({ when, complexity })
+  }
+
+  const errors = []
+  parsedConditions.forEach(({ when, complexity }) => {
+    getConditionPaths(when)
+      .filter(path =>
+        fields.some(field => !getArgumentPathType(path, field.args))
+      )
+      .forEach(path => {
+        errors.push(
+          new GraphQLError(
+            `The condition on ${JSON.stringify(path)} of ${coordinate} ` +
+              `does not resolve to an argument or input field`,
+            node ? [node] : undefined
+          )
+        )
+      })
+    errors.push(...validateComplexity({ complexity, node }, coordinate, options))
+  })
+  return errors
+}
+
+function validateSettings (
+  settings: CostSettings,
+  coordinate: string,
+  fields: Array<GraphQLField<*, *>>,
+  options: CostConfigurationOptions
+): Array<GraphQLError> {
+  return [
+    ...validateComplexity(settings, coordinate, options),
+    ...validateMultipliers(settings, coordinate, fields),
+    ...validateAssumedSize(settings, coordinate),
+    ...validateCombiner(settings, coordinate, options),
+    ...validateCostFunction(settings, coordinate, options),
+    ...validateEventRate(settings, coordinate),
+    ...validateWeight(settings, coordinate),
+    ...validateConditions(settings, coordinate, fields, options)
+  ]
+}
+
+// the type-level cost settings are used by the fields returning the type
+// without cost settings of their own
+function getFieldsReturningType (
+  schema: GraphQLSchema,
+  typeName: string,
+  hasOwnSettings: (
+    parentTypeName: string,
+    fieldName: string,
+    field: GraphQLField<*, *>
+  ) => boolean
+): Array<GraphQLField<*, *>> {
+  const typeMap = schema.getTypeMap()
+  const fieldsReturningType = []
+  Object.keys(typeMap).forEach(parentTypeName => {
+    const fields = getFields(typeMap[parentTypeName])
+    if (!fields || parentTypeName.startsWith('__')) {
+      return
+    }
+    Object.keys(fields).forEach(fieldName => {
+      const field = fields[fieldName]
+      const returnType = getNamedType(field.type)
+      if (
+        returnType &&
+        returnType.name === typeName &&
+        !hasOwnSettings(parentTypeName, fieldName, field)
+      ) {
+        fieldsReturningType.push(field)
+      }
+    })
+  })
+  return fieldsReturningType
+}
+
+function isObject (value: mixed): boolean %checks {
+  return !!value && typeof value === 'object' && !Array.isArray(value)
+}
+
+function isCostType (type: ?GraphQLNamedType): boolean %checks {
+  return (
+    type instanceof GraphQLObjectType ||
+    type instanceof GraphQLInterfaceType ||
+    type instanceof GraphQLUnionType ||
+    type instanceof GraphQLInputObjectType
+  )
+}
+
+// the input types and fields only have a complexity, they don't have
+// fields to resolve multipliers against
+function getCostFields (type: ?GraphQLNamedType): Object {
+  if (type instanceof GraphQLInputObjectType) {
+    return type.getFields()
+  }
+  return getFields(type) || {}
+}
+
+function getMultiplierFields (
+  type: ?GraphQLNamedType,
+  field: Object
+): Array<GraphQLField<*, *>> {
+  return type instanceof GraphQLInputObjectType ? [] : [field]
+}
+
+function validateCostMap (
+  schema: GraphQLSchema,
+  costMap: Object,
+  options: CostConfigurationOptions
+): Array<GraphQLError> {
+  const errors = []
+  const hasCostMapEntry = (parentTypeName, fieldName) =>
+    !!costMap[parentTypeName] && !!costMap[parentTypeName][fieldName]
+
+  Object.keys(costMap).forEach(typeName => {
+    const type = schema.getType(typeName)
+    if (!isCostType(type)) {
+      errors.push(
+        new GraphQLError(`The cost map references the unknown type ${typeName}`)
+      )
+      return
+    }
+    const typeCostMap = costMap[typeName]
+    if (!isObject(typeCostMap)) {
+      errors.push(
+        new GraphQLError(`The cost map entry of ${typeName} must be an object`)
+      )
+      return
+    }
+
+    const fields = getCostFields(type)
+    Object.keys(typeCostMap).forEach(fieldName => {
+      const isTypeCost = fieldName === TYPE_COST_KEY
+      const coordinate = isTypeCost ? typeName : `${typeName}.${fieldName}`
+      const field = fields[fieldName]
+      if (!isTypeCost && !field) {
+        errors.push(
+          new GraphQLError(
+            `The cost map references the unknown field ${coordinate}`
+          )
+        )
+        return
+      }
+
+      const settings = typeCostMap[fieldName]
+      if (!isObject(settings)) {
+        errors.push(
+          new GraphQLError(
+            `The cost settings of ${coordinate} must be an object`
+          )
+        )
+        return
+      }
+      let multiplierFields
+      if (!isTypeCost) {
+        multiplierFields = getMultiplierFields(type, field)
+      } else if (type instanceof GraphQLInputObjectType) {
+        multiplierFields = []
+      } else {
+        multiplierFields = getFieldsReturningType(
+          schema,
+          typeName,
+          hasCostMapEntry
+        )
+      }
+      errors.push(
+        ...validateSettings(settings, coordinate, multiplierFields, options)
+      )
+    })
+  })
+  return errors
+}
+
+function validateDirectives (
+  schema: GraphQLSchema,
+  options: CostConfigurationOptions
+): Array<GraphQLError> {
+  const errors = []
+  const typeMap = schema.getTypeMap()
+  const hasCostDirective = (parentTypeName, fieldName, field) =>
+    !!getCostDirective(field.astNode)
+
+  Object.keys(typeMap).forEach(typeName => {
+    const type = typeMap[typeName]
+    if (!isCostType(type) || typeName.startsWith('__')) {
+      return
+    }
+
+    const directive = getCostDirective(type.astNode)
+    if (directive) {
+      errors.push(
+        ...validateSettings(
+          getSettingsFromDirective(directive),
+          typeName,
+          type instanceof GraphQLInputObjectType
+            ? []
+            : getFieldsReturningType(schema, typeName, hasCostDirective),
+          options
+        )
+      )
+    }
+
+    const fields = getCostFields(type)
+    Object.keys(fields).forEach(fieldName => {
+      const field = fields[fieldName]
+      const directive = getCostDirective(field.astNode)
+      if (directive) {
+        errors.push(
+          ...validateSettings(
+            getSettingsFromDirective(directive),
+            `${typeName}.${fieldName}`,
+            getMultiplierFields(type, field),
+            options
+          )
+        )
+      }
+    })
+  })
+  return errors
+}
+
+/**
+ * Validates the cost directives of a schema and the entries of a cost map,
+ * it returns the list of errors found in the cost configuration.
+ */
+export default function validateCostConfiguration (
+  schema: GraphQLSchema,
+  options: CostConfigurationOptions = {}
+): Array<GraphQLError> {
+  return [
+    ...validateDirectives(schema, options),
+    ...(options.costMap ? validateCostMap(schema, options.costMap, options) : [])
+  ]
+}
@@ -0,0 +1,327 @@
+import { makeExecutableSchema } from 'graphql-tools'
+import validateCostConfiguration from './validateCostConfiguration'
+
+const typeDefs = `
+  input Filters {
+    limit: Int
+    name: String
+    nested: Filters
+  }
+
+  type Query {
+    valid(limit: Int, ids: [ID], filters: Filters): Int @cost(
+      multipliers: ["limit", "ids", "filters.limit", "filters.nested.limit"],
+      complexity: 2
+    )
+    typo(limit: Int): Int @cost(multipliers: ["limt"])
+    notNumeric(name: String, filters: Filters): Int @cost(
+      multipliers: ["name", "filters.name", "filters.unknown"]
+    )
+    deprecatedMultiplier(limit: Int): Int @cost(multiplier: "limt")
+    badAssumedSize: [Int] @cost(assumedSize: "many")
+    outOfRange: Int @cost(complexity: 12)
+    notInt: Int @cost(complexity: "high")
+    typeCost(limit: Int): TypeCost
+    typeCostWithoutLimit: TypeCost
+  }
+
+  type TypeCost @cost(complexity: 3, multipliers: ["limit"]) {
+    int: Int
+  }
+`
+
+const schema = makeExecutableSchema({ typeDefs })
+
+const getMessages = errors => errors.map(error => error.message)
+
+describe('Cost configuration validation Tests', () => {
+  test('should not report errors for a valid configuration', () => {
+    const validSchema = makeExecutableSchema({
+      typeDefs: `
+        type Query {
+          valid(limit: Int!): Int @cost(multipliers: ["limit"], complexity: 2)
+        }
+      `
+    })
+
+    expect(
+      validateCostConfiguration(validSchema, {
+        complexityRange: { min: 1, max: 10 },
+        costMap: { Query: { valid: { multipliers: ['limit'], complexity: 3 } } }
+      })
+    ).toEqual([])
+  })
+
+  test('should report every invalid cost directive', () => {
+    const errors = validateCostConfiguration(schema, {
+      complexityRange: { min: 1, max: 10 }
+    })
+
+    expect(getMessages(errors)).toEqual([
+      'The multiplier "limt" of Query.typo does not resolve to an argument ' +
+        'or input field of a numeric or list type',
+      'The multiplier "name" of Query.notNumeric does not resolve to an argument ' +
+        'or input field of a numeric or list type',
+      'The multiplier "filters.name" of Query.notNumeric does not resolve to an argument ' +
+        'or input field of a numeric or list type',
+      'The multiplier "filters.unknown" of Query.notNumeric does not resolve to an argument ' +
+        'or input field of a numeric or list type',
+      'The multiplier "limt" of Query.deprecatedMultiplier does not resolve to an argument ' +
+        'or input field of a numeric or list type',
+      'The assumed size of Query.badAssumedSize must be a positive integer',
+      'The complexity of Query.outOfRange must be between 1 and 10, got 12',
+      'The complexity of Query.notInt must be a number literal, got StringValue',
+      'The multiplier "limit" of TypeCost does not resolve to an argument ' +
+        'or input field of a numeric or list type'
+    ])
+    expect(errors[0].locations).toBeDefined()
+  })
+
+  test('should report every invalid cost map entry', () => {
+    const errors = validateCostConfiguration(schema, {
+      complexityRange: { min: 1, max: 10 },
+      costMap: {
+        Usr: { name: { complexity: 1 } },
+        Query: {
+          unknown: { complexity: 1 },
+          valid: { multipliers: ['limit', 'limt'], complexity: 11 },
+          typo: { complexity: 'high' },
+          badAssumedSize: { assumedSize: -1 }
+        }
+      }
+    })
+
+    expect(getMessages(errors).slice(-6)).toEqual([
+      'The cost map references the unknown type Usr',
+      'The cost map references the unknown field Query.unknown',
+      'The complexity of Query.valid must be between 1 and 10, got 11',
+      'The multiplier "limt" of Query.valid does not resolve to an argument ' +
+        'or input field of a numeric or list type',
+      'The complexity of Query.typo must be a number',
+      'The assumed size of Query.badAssumedSize must be a positive integer'
+    ])
+  })
+
+  test('should report the cost map entries which are not objects', () => {
+    const validSchema = makeExecutableSchema({
+      typeDefs: `
+        type Query {
+          valid(limit: Int): Int
+          typeCost: TypeCost
+        }
+
+        type TypeCost {
+          int: Int
+        }
+      `
+    })
+    const validate = costMap =>
+      getMessages(validateCostConfiguration(validSchema, { costMap }))
+
+    expect(validate({ Query: null })).toEqual([
+      'The cost map entry of Query must be an object'
+    ])
+    expect(
+      validate({ Query: { valid: null }, TypeCost: { __type: 3 } })
+    ).toEqual([
+      'The cost settings of Query.valid must be an object',
+      'The cost settings of TypeCost must be an object'
+    ])
+    expect(validate({ Query: { valid: { multipliers: 'limit' } } })).toEqual([
+      'The multipliers of Query.valid must be a list of argument paths'
+    ])
+  })
+
+  test('should validate type-level cost settings', () => {
+    const abstractSchema = makeExecutableSchema({
+      typeDefs: `
+        interface Node @cost(complexity: 12) {
+          id: ID
+        }
+
+        type Image implements Node {
+          id: ID
+        }
+
+        union SearchResult = Image
+
+        type Query {
+          node(limit: Int): Node
+          search: [SearchResult]
+        }
+      `,
+      resolverValidationOptions: { requireResolversForResolveType: false }
+    })
+
+    const errors = validateCostConfiguration(abstractSchema, {
+      complexityRange: { min: 1, max: 10 },
+      costMap: {
+        Image: { __type: { complexity: 2 } },
+        SearchResult: {
+          __type: { complexity: 3, multipliers: ['limit'] },
+          id: { complexity: 1 }
+        }
+      }
+    })
+
+    expect(getMessages(errors)).toEqual([
+      'The complexity of Node must be between 1 and 10, got 12',
+      'The multiplier "limit" of SearchResult does not resolve to an argument ' +
+        'or input field of a numeric or list type',
+      'The cost map references the unknown field SearchResult.id'
+    ])
+  })
+
+  test('should validate the multipliers combiners', () => {
+    const combinerSchema = makeExecutableSchema({
+      typeDefs: `
+        type Query {
+          max(first: Int, last: Int): Int @cost(multipliers: ["first", "last"], combiner: "max")
+          custom(first: Int): Int @cost(multipliers: ["first"], combiner: "square")
+          unknown(first: Int): Int @cost(multipliers: ["first"], combiner: "average")
+          badCap(first: Int): Int @cost(multipliers: ["first"], maxMultiplier: 0)
+        }
+      `
+    })
+
+    const errors = validateCostConfiguration(combinerSchema, {
+      combiners: { square: ([value]) => value * value },
+      costMap: {
+        Query: { max: { multipliers: ['first'], combiner: 'avg', maxMultiplier: 10 } }
+      }
+    })
+
+    expect(getMessages(errors)).toEqual([
+      'The combiner of Query.unknown must be one of sum, max, min, product ' +
+        'or a registered combiner, got "average"',
+      'The maximum multiplier of Query.badCap must be a positive number',
+      'The combiner of Query.max must be one of sum, max, min, product ' +
+        'or a registered combiner, got "avg"'
+    ])
+  })
+
+  test('should validate the cost functions', () => {
+    const costFunctionSchema = makeExecutableSchema({
+      typeDefs: `
+        type Query {
+          members: Int @cost(costFn: "orgMembers")
+          unknown: Int @cost(costFn: "unknown")
+        }
+      `
+    })
+
+    const errors = validateCostConfiguration(costFunctionSchema, {
+      costFunctions: { orgMembers: () => 1 },
+      costMap: { Query: { members: { costFn: 'pricing' } } }
+    })
+
+    expect(getMessages(errors)).toEqual([
+      'The cost function "unknown" of Query.unknown is not registered',
+      'The cost function "pricing" of Query.members is not registered'
+    ])
+  })
+
+  test('should validate the event rates', () => {
+    const subscriptionSchema = makeExecutableSchema({
+      typeDefs: `
+        type Query {
+          int: Int
+        }
+
+        type Subscription {
+          valid: Int @cost(complexity: 2, eventRate: 0.5)
+          negative: Int @cost(eventRate: -1)
+          notNumeric: Int @cost(eventRate: "often")
+        }
+      `
+    })
+
+    const errors = validateCostConfiguration(subscriptionSchema)
+
+    expect(getMessages(errors)).toEqual([
+      'The event rate of Subscription.negative must be a positive number',
+      'The event rate of Subscription.notNumeric must be a positive number'
+    ])
+  })
+
+  test('should validate the input types costs', () => {
+    const inputSchema = makeExecutableSchema({
+      typeDefs: `
+        input OrderInput @cost(complexity: 20) {
+          lineItems: [ID] @cost(complexity: "many")
+        }
+
+        type Query {
+          orders(input: OrderInput): Int
+        }
+      `
+    })
+
+    const errors = validateCostConfiguration(inputSchema, {
+      complexityRange: { min: 1, max: 10 },
+      costMap: {
+        OrderInput: { __type: { complexity: 2 }, unknown: { complexity: 1 } }
+      }
+    })
+
+    expect(getMessages(errors)).toEqual([
+      'The complexity of OrderInput must be between 1 and 10, got 20',
+      'The complexity of OrderInput.lineItems must be a number literal, ' +
+        'got StringValue',
+      'The cost map references the unknown field OrderInput.unknown'
+    ])
+  })
+
+  test('should validate the conditional complexities', () => {
+    const conditionSchema = makeExecutableSchema({
+      typeDefs: `
+        type Query {
+          search(fuzzy: Boolean, filters: Filters): Int @cost(conditions: [
+            { when: { fuzzy: true }, complexity: 5 }
+            { when: { exact: true, filters: { fuzzy: true, name: "a" } }, complexity: 20 }
+          ])
+          invalid: Int @cost(conditions: [{ complexity: 2 }])
+        }
+
+        input Filters {
+          fuzzy: Boolean
+        }
+      `
+    })
+
+    const errors = validateCostConfiguration(conditionSchema, {
+      complexityRange: { min: 1, max: 10 }
+    })
+
+    expect(getMessages(errors)).toEqual([
+      'The condition on "exact" of Query.search does not resolve to ' +
+        'an argument or input field',
+      'The condition on "filters.name" of Query.search does not resolve to ' +
+        'an argument or input field',
+      'The complexity of Query.search must be between 1 and 10, got 20',
+      'The conditions of Query.invalid must be a list of ' +
+        '{ when, complexity } objects'
+    ])
+  })
+
+  test('should accept Float complexities and validate the weights', () => {
+    const creditSchema = makeExecutableSchema({
+      typeDefs: `
+        type Query {
+          cheap: Int @cost(complexity: 0.1)
+          weighted: Int @cost(complexity: 2, weight: 0.5)
+          negative: Int @cost(weight: -1)
+        }
+      `
+    })
+
+    const errors = validateCostConfiguration(creditSchema, {
+      costMap: { Query: { cheap: { complexity: 0.5, weight: 'high' } } }
+    })
+
+    expect(getMessages(errors)).toEqual([
+      'The weight of Query.negative must be a positive number',
+      'The weight of Query.cheap must be a positive number'
+    ])
+  })
+})